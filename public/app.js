@@ -11,6 +11,7 @@ class SpeedAudit {
     this.loadingSection = document.getElementById('loading');
     this.resultsSection = document.getElementById('results');
     this.errorSection = document.getElementById('error');
+    this.pollInterval = 2000;
     
     this.init();
   }
@@ -45,10 +46,13 @@ class SpeedAudit {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Audit failed');
+        throw new Error(error.message || error.error || 'Audit failed');
       }
       
-      const results = await response.json();
+      const job = await response.json();
+      const results = window.EventSource
+        ? await this.streamJob(job.id)
+        : await this.pollJob(job.id);
       this.showResults(results);
       
     } catch (error) {
@@ -56,36 +60,154 @@ class SpeedAudit {
     }
   }
   
+  async pollJob(id) {
+    while (true) {
+      const response = await fetch(`/api/audit/${id}`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || error.error || 'Audit failed');
+      }
+      
+      const job = await response.json();
+      if (job.status === 'completed') return job.result;
+      if (job.status === 'failed') throw new Error(job.error || 'Audit failed');
+      if (job.status === 'cancelled') throw new Error('Audit was cancelled');
+      
+      if (job.status === 'queued') {
+        this.setLoadingStatus(`Waiting in queue (position ${job.position})...`);
+      } else if (job.progress) {
+        this.handleProgressEvent(job.progress);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+  
+  streamJob(id) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/audit/${id}/events`);
+      const close = () => source.close();
+      
+      [
+        'job-queued', 'job-started', 'validating', 'site-validated', 'discovering',
+        'page-discovered', 'page-started', 'page-finished', 'page-failed', 'flow-step', 'scoring'
+      ].forEach(type => {
+        source.addEventListener(type, e => this.handleProgressEvent(JSON.parse(e.data)));
+      });
+      
+      source.addEventListener('job-completed', async () => {
+        close();
+        try {
+          const response = await fetch(`/api/audit/${id}`);
+          const job = await response.json();
+          resolve(job.result);
+        } catch (error) {
+          reject(error);
+        }
+      });
+      source.addEventListener('job-failed', e => {
+        close();
+        reject(new Error(JSON.parse(e.data).error || 'Audit failed'));
+      });
+      source.addEventListener('job-cancelled', () => {
+        close();
+        reject(new Error('Audit was cancelled'));
+      });
+      
+      // EventSource reconnects on its own; only give up once the job is gone
+      source.onerror = async () => {
+        const response = await fetch(`/api/audit/${id}`).catch(() => null);
+        if (response && response.status === 404) {
+          close();
+          reject(new Error('Audit job not found'));
+        }
+      };
+    });
+  }
+  
+  handleProgressEvent(event) {
+    if (event.type === 'job-queued') {
+      this.setLoadingStatus('Waiting in queue...');
+      return;
+    }
+    if (event.message) {
+      this.setLoadingStatus(event.message);
+    }
+    if (typeof event.total === 'number' && event.total > 0) {
+      document.getElementById('progressFill').style.width = 
+        `${Math.round((event.completed / event.total) * 100)}%`;
+    }
+    
+    if (event.type === 'page-discovered') {
+      this.checklistItem(event.key || event.url, event.label);
+    } else if (event.type === 'page-started') {
+      this.checklistDevice(event, 'running', 'Running...');
+    } else if (event.type === 'flow-step') {
+      this.checklistDevice(event, 'running', `${event.step}...`);
+    } else if (event.type === 'page-finished' && event.flow) {
+      this.checklistDevice(event, 'done', `✓ ${event.score} · ${event.steps} steps`);
+    } else if (event.type === 'page-finished') {
+      const m = event.metrics;
+      this.checklistDevice(event, 'done', 
+        `✓ ${event.score} · LCP ${((m.lcp || 0) / 1000).toFixed(1)}s · CLS ${m.cls} · TBT ${m.tbt}ms · ${this.formatBytes(m.totalBytes)}`);
+    } else if (event.type === 'page-failed') {
+      this.checklistDevice(event, 'failed', `✗ ${event.error}`);
+    }
+  }
+  
+  checklistItem(key, label) {
+    const list = document.getElementById('pageChecklist');
+    let item = [...list.children].find(li => li.dataset.key === key);
+    if (!item) {
+      item = document.createElement('li');
+      item.className = 'checklist-item';
+      item.dataset.key = key;
+      item.innerHTML = `<div class="checklist-label"></div>`;
+      item.querySelector('.checklist-label').textContent = label;
+      list.appendChild(item);
+    }
+    return item;
+  }
+  
+  checklistDevice(event, state, text) {
+    const item = this.checklistItem(event.key || event.url, event.label);
+    let row = [...item.querySelectorAll('.checklist-device')].find(div => div.dataset.device === event.device);
+    if (!row) {
+      row = document.createElement('div');
+      row.className = 'checklist-device';
+      row.dataset.device = event.device;
+      row.innerHTML = '<span class="checklist-device-name"></span><span class="checklist-status"></span>';
+      row.querySelector('.checklist-device-name').textContent = event.deviceLabel;
+      item.appendChild(row);
+    }
+    const status = row.querySelector('.checklist-status');
+    status.className = `checklist-status checklist-${state}`;
+    status.textContent = text;
+  }
+  
+  setLoadingStatus(message) {
+    document.getElementById('loadingStatus').textContent = message;
+  }
+  
   showLoading() {
     this.hideAllSections();
     this.loadingSection.classList.remove('hidden');
     this.auditButton.disabled = true;
     this.auditButton.textContent = 'Running...';
     
-    // Update loading messages
-    const messages = [
-      'Discovering high-value pages...',
-      'Loading pages with mobile simulation...',
-      'Analyzing performance metrics...',
-      'Generating actionable recommendations...'
-    ];
-    
-    let index = 0;
-    const updateMessage = () => {
-      document.getElementById('loadingStatus').textContent = messages[index];
-      index = (index + 1) % messages.length;
-    };
-    
-    updateMessage();
-    this.loadingInterval = setInterval(updateMessage, 2000);
+    this.setLoadingStatus('Starting audit...');
+    document.getElementById('progressFill').style.width = '0%';
+    document.getElementById('pageChecklist').innerHTML = '';
   }
   
   showResults(data) {
     this.hideAllSections();
-    clearInterval(this.loadingInterval);
+    this.currentResults = data;
+    document.getElementById('comparisonPanel').classList.add('hidden');
     
     // Update score circle
     this.updateScore(data.score);
+    this.renderScoreBreakdown(data.scoreBreakdown || []);
     
     // Update summary
     document.getElementById('scoreSummary').textContent = 
@@ -94,19 +216,41 @@ class SpeedAudit {
       data.summary.recommendation;
     document.getElementById('avgLoadTime').textContent = 
       `${data.summary.averageLoadTime}s`;
+    document.getElementById('avgLcp').textContent = 
+      `${data.summary.averageLcp}s`;
     document.getElementById('pagesAudited').textContent = 
       data.summary.pagesAudited;
+    document.getElementById('throttlingProfile').textContent = 
+      data.throttling ? data.throttling.label : 'N/A';
+    
+    this.renderReportDownloads(data.id);
     
     // Update page results
+    this.renderDeviceComparison(data);
     this.renderPageResults(data.pages);
     
     this.resultsSection.classList.remove('hidden');
     this.resetForm();
+    
+    this.loadHistory(data.url);
+  }
+  
+  // Download links for stored audits; unsaved results have no id
+  renderReportDownloads(id) {
+    const container = document.getElementById('reportDownloads');
+    if (!id) {
+      container.classList.add('hidden');
+      return;
+    }
+    
+    const base = `/api/history/${encodeURIComponent(id)}/report`;
+    document.getElementById('downloadHtml').href = `${base}?format=html`;
+    document.getElementById('downloadMarkdown').href = `${base}?format=markdown`;
+    container.classList.remove('hidden');
   }
   
   showError(message) {
     this.hideAllSections();
-    clearInterval(this.loadingInterval);
     
     document.getElementById('errorMessage').textContent = message;
     this.errorSection.classList.remove('hidden');
@@ -144,6 +288,268 @@ class SpeedAudit {
     }, 50);
   }
   
+  renderScoreBreakdown(breakdown) {
+    const container = document.getElementById('scoreBreakdown');
+    container.innerHTML = breakdown.map(entry => {
+      const level = entry.score >= 90 ? 'good' : entry.score >= 50 ? 'average' : 'poor';
+      return `
+        <div class="breakdown-row" title="Weight ${entry.weight}, contributes ${entry.contribution} points">
+          <span class="breakdown-label">${entry.label}</span>
+          <span class="breakdown-bar"><span class="breakdown-fill breakdown-${level}" style="width: ${entry.score}%"></span></span>
+          <span class="breakdown-score">${entry.score}</span>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  renderDeviceComparison(data) {
+    const container = document.getElementById('deviceComparison');
+    const devices = data.devices || [];
+    
+    if (devices.length < 2) {
+      container.classList.add('hidden');
+      return;
+    }
+    
+    const urls = [...new Set(data.pages.map(page => page.url))];
+    const cell = page => page
+      ? `${page.score} <span class="page-metric-label">${((page.metrics.lcp || 0) / 1000).toFixed(1)}s LCP</span>`
+      : 'failed';
+    
+    container.innerHTML = `
+      <h4>📱 Device Comparison</h4>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Page</th>
+            ${devices.map(device => `<th>${device.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td><strong>All pages</strong></td>
+            ${devices.map(device => `<td class="numeric">${device.score} <span class="page-metric-label">${device.averageLcp}s LCP</span></td>`).join('')}
+          </tr>
+          ${urls.map(url => `
+            <tr>
+              <td>${data.pages.find(page => page.url === url).pageLabel}</td>
+              ${devices.map(device => `<td class="numeric">${cell(data.pages.find(page => page.url === url && page.device === device.device))}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    container.classList.remove('hidden');
+  }
+  
+  async loadHistory(url) {
+    const panel = document.getElementById('historyPanel');
+    try {
+      const query = `url=${encodeURIComponent(url)}`;
+      const [historyResponse, trendResponse] = await Promise.all([
+        fetch(`/api/history?${query}`),
+        fetch(`/api/history/trend?${query}`)
+      ]);
+      if (!historyResponse.ok || !trendResponse.ok) throw new Error('History unavailable');
+      
+      const history = await historyResponse.json();
+      const trend = await trendResponse.json();
+      if (history.length === 0) {
+        panel.classList.add('hidden');
+        return;
+      }
+      
+      this.renderHistory(history, trend);
+      panel.classList.remove('hidden');
+    } catch (error) {
+      panel.classList.add('hidden');
+    }
+  }
+  
+  renderHistory(history, trend) {
+    const lcpSeries = trend.pages.map(page => ({
+      label: `${page.pageLabel}${page.device ? ` (${page.device})` : ''}`,
+      points: page.points.map(point => ({ timestamp: point.timestamp, value: point.lcp === null ? null : point.lcp / 1000 }))
+    }));
+    
+    document.getElementById('trendCharts').innerHTML = 
+      this.renderTrendChart('Score', [{ label: 'Overall', points: trend.score }], { max: 100 }) +
+      this.renderTrendChart('LCP (s)', lcpSeries, {});
+    
+    const currentId = this.currentResults && this.currentResults.id;
+    const previous = history.find(entry => entry.id !== currentId && entry.timestamp < this.currentResults.timestamp);
+    
+    document.getElementById('historyList').innerHTML = `
+      ${previous ? `<button class="link-button" data-compare-id="${previous.id}">🔀 Compare with previous audit</button>` : ''}
+      <table class="data-table">
+        <thead>
+          <tr><th>Date</th><th>Score</th><th>Pages</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${history.map(entry => `
+            <tr>
+              <td>${new Date(entry.timestamp).toLocaleString()}</td>
+              <td class="numeric">${entry.score}</td>
+              <td class="numeric">${entry.pagesAudited}</td>
+              <td>
+                <button class="link-button" data-history-id="${entry.id}">View</button>
+                ${entry.id !== currentId ? `<button class="link-button" data-compare-id="${entry.id}">Compare</button>` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+    
+    document.querySelectorAll('[data-history-id]').forEach(button => {
+      button.addEventListener('click', () => this.showHistoricalResult(button.dataset.historyId));
+    });
+    document.querySelectorAll('[data-compare-id]').forEach(button => {
+      button.addEventListener('click', () => this.compareWith(button.dataset.compareId));
+    });
+  }
+  
+  async compareWith(id) {
+    const panel = document.getElementById('comparisonPanel');
+    try {
+      const historyResponse = await fetch(`/api/history/${id}`);
+      if (!historyResponse.ok) throw new Error('Could not load past audit');
+      const before = await historyResponse.json();
+      
+      const response = await fetch('/api/compare', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ before: this.withoutFilmstrips(before), after: this.withoutFilmstrips(this.currentResults) })
+      });
+      const diff = await response.json();
+      if (!response.ok) throw new Error(diff.message || diff.error || 'Comparison failed');
+      
+      this.renderComparison(diff);
+      panel.classList.remove('hidden');
+      panel.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+      panel.innerHTML = `<h4>🔀 Comparison</h4><p class="diff-error"></p>`;
+      panel.querySelector('.diff-error').textContent = error.message;
+      panel.classList.remove('hidden');
+    }
+  }
+  
+  // Screenshots are the bulk of a result and the diff doesn't use them
+  withoutFilmstrips(results) {
+    return { ...results, pages: results.pages.map(({ filmstrip, ...page }) => page) };
+  }
+  
+  renderComparison(diff) {
+    const value = (entry, raw) => {
+      if (raw === null) return 'n/a';
+      if (entry.unit === 'bytes') return this.formatBytes(raw);
+      return entry.unit ? `${raw}${entry.unit}` : raw;
+    };
+    const delta = entry => {
+      if (entry.delta === null) return '';
+      const sign = entry.delta > 0 ? '+' : entry.delta < 0 ? '-' : '';
+      const amount = entry.unit === 'bytes' ? this.formatBytes(Math.abs(entry.delta)) : Math.abs(entry.delta);
+      return `${sign}${amount}${entry.percent === null ? '' : ` (${entry.percent > 0 ? '+' : ''}${entry.percent}%)`}`;
+    };
+    const row = entry => `
+      <tr class="diff-${entry.status}">
+        <td>${entry.label}</td>
+        <td class="numeric">${value(entry, entry.before)}</td>
+        <td class="numeric">${value(entry, entry.after)}</td>
+        <td class="numeric">${delta(entry)}</td>
+      </tr>
+    `;
+    const findings = (list, sign) => list.map(finding => 
+      `<li class="diff-finding-${sign === '+' ? 'added' : 'resolved'}">${sign} ${finding.issue}</li>`
+    ).join('');
+    
+    const { summary } = diff;
+    document.getElementById('comparisonPanel').innerHTML = `
+      <h4>🔀 Compared with ${new Date(diff.before.timestamp).toLocaleString()}</h4>
+      <p class="diff-summary ${summary.regressed ? 'diff-regressed' : 'diff-improved'}">
+        Score ${diff.score.before} → ${diff.score.after} &middot;
+        ${summary.regressions} regressions, ${summary.improvements} improvements,
+        ${summary.findingsAdded} new issues, ${summary.findingsResolved} resolved
+      </p>
+      ${diff.pages.map(page => `
+        <div class="diff-page">
+          <h5>${page.pageLabel} <span class="page-device">${page.deviceLabel || ''}</span></h5>
+          <table class="data-table">
+            <thead>
+              <tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr>
+            </thead>
+            <tbody>
+              ${page.metrics.filter(entry => entry.status !== 'n/a').map(row).join('')}
+            </tbody>
+          </table>
+          ${page.findings.added.length || page.findings.resolved.length ? `
+            <ul class="diff-findings">
+              ${findings(page.findings.added, '+')}
+              ${findings(page.findings.resolved, '−')}
+            </ul>
+          ` : ''}
+        </div>
+      `).join('')}
+      ${diff.addedPages.map(page => `<p class="page-metric-label">New page: ${page.pageLabel} (${page.url})</p>`).join('')}
+      ${diff.removedPages.map(page => `<p class="page-metric-label">No longer audited: ${page.pageLabel} (${page.url})</p>`).join('')}
+    `;
+  }
+  
+  renderTrendChart(title, series, { max }) {
+    const width = 560;
+    const height = 160;
+    const pad = 30;
+    const colors = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+    
+    const timestamps = [...new Set(series.flatMap(s => s.points.map(p => p.timestamp)))].sort();
+    const values = series.flatMap(s => s.points.map(p => p.value)).filter(v => v !== null);
+    if (timestamps.length === 0 || values.length === 0) return '';
+    
+    const top = max || Math.max(...values) * 1.1 || 1;
+    const x = timestamp => timestamps.length === 1
+      ? width / 2
+      : pad + (timestamps.indexOf(timestamp) / (timestamps.length - 1)) * (width - pad * 2);
+    const y = value => height - pad - (value / top) * (height - pad * 2);
+    
+    const lines = series.map((s, i) => {
+      const color = colors[i % colors.length];
+      const points = s.points.filter(p => p.value !== null);
+      const path = points.map((p, j) => `${j === 0 ? 'M' : 'L'}${x(p.timestamp).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+      const dots = points.map(p => `<circle cx="${x(p.timestamp).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" fill="${color}"><title>${s.label}: ${Number(p.value.toFixed(2))}</title></circle>`).join('');
+      return `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+    }).join('');
+    
+    const legend = series.map((s, i) => 
+      `<span class="trend-legend-item"><span class="trend-swatch" style="background: ${colors[i % colors.length]}"></span>${s.label}</span>`
+    ).join('');
+    
+    return `
+      <div class="trend-chart">
+        <div class="trend-title">${title}</div>
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+          <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#e5e7eb"/>
+          <text x="4" y="${pad}" class="trend-axis">${Number(top.toFixed(1))}</text>
+          <text x="4" y="${height - pad}" class="trend-axis">0</text>
+          ${lines}
+        </svg>
+        <div class="trend-legend">${legend}</div>
+      </div>
+    `;
+  }
+  
+  async showHistoricalResult(id) {
+    try {
+      const response = await fetch(`/api/history/${id}`);
+      if (!response.ok) throw new Error('Could not load past audit');
+      this.showResults({ ...await response.json(), id });
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+      this.showError(error.message);
+    }
+  }
+  
   renderPageResults(pages) {
     const container = document.getElementById('pageResults');
     container.innerHTML = '';
@@ -152,21 +558,43 @@ class SpeedAudit {
       const pageDiv = document.createElement('div');
       pageDiv.className = 'page-result';
       
+      const lcp = (page.metrics.lcp || 0) / 1000;
       const loadTimeClass = 
-        page.loadTime <= 2 ? 'loadtime-fast' :
-        page.loadTime <= 4 ? 'loadtime-medium' : 'loadtime-slow';
+        lcp <= 2.5 ? 'loadtime-fast' :
+        lcp <= 4 ? 'loadtime-medium' : 'loadtime-slow';
+      
+      // Flow steps that stayed on the same document have no LCP; show how long the step took
+      const headline = page.flow && !page.navigated
+        ? `${(page.metrics.interactionTime / 1000).toFixed(1)}s step`
+        : `${lcp.toFixed(1)}s LCP`;
       
       pageDiv.innerHTML = `
         <div class="page-header">
           <div>
-            <div class="page-title">${page.pageLabel}</div>
+            <div class="page-title">${page.pageLabel}<span class="page-device">${page.deviceLabel || ''}</span></div>
             <div class="page-url">${page.url}</div>
+            ${page.artifacts ? this.renderArtifactLinks(page.artifacts) : ''}
           </div>
           <div class="page-loadtime ${loadTimeClass}">
-            ${page.loadTime.toFixed(1)}s
+            ${headline}
           </div>
         </div>
         
+        ${page.samples ? this.renderSamples(page.samples) : ''}
+        
+        ${page.filmstrip && page.filmstrip.frames.length ? this.renderFilmstrip(page.filmstrip) : ''}
+        
+        <div class="page-metrics">
+          ${this.renderVital(page.metrics.fcp, 'FCP', 'ms')}
+          ${this.renderVital(page.metrics.cls, 'CLS', '')}
+          ${this.renderVital(page.metrics.tbt, 'TBT', 'ms')}
+          ${this.renderVital(page.metrics.ttfb, 'TTFB', 'ms')}
+          ${typeof page.metrics.speedIndex === 'number' ? this.renderVital(page.metrics.speedIndex, 'Speed Index', 'ms') : ''}
+          ${page.metrics.inp !== null && page.metrics.inp !== undefined ? this.renderVital(page.metrics.inp, 'INP', 'ms') : ''}
+          ${this.renderVital(typeof page.loadTime === 'number' ? page.loadTime.toFixed(1) : null, 'Load Event', 's')}
+          ${page.flow ? this.renderVital(page.metrics.interactionTime, 'Step Time', 'ms') : ''}
+        </div>
+        
         <div class="page-metrics">
           <div class="page-metric">
             <span class="page-metric-value">${page.metrics.totalRequests}</span>
@@ -188,10 +616,39 @@ class SpeedAudit {
             <span class="page-metric-value">${page.metrics.largestResourceSize}</span>
             <span class="page-metric-label">Largest File</span>
           </div>
+          <div class="page-metric">
+            <span class="page-metric-value">${this.formatBytes(page.metrics.totalBytes)}</span>
+            <span class="page-metric-label">Page Weight</span>
+          </div>
+        </div>
+        
+        <div class="page-metrics">
+          ${Object.entries(page.metrics.bytesByType || {})
+            .filter(([, bytes]) => bytes > 0)
+            .map(([type, bytes]) => this.renderVital(this.formatBytes(bytes), type.toUpperCase(), ''))
+            .join('')}
         </div>
         
+        ${typeof page.metrics.renderBlockingTime === 'number' ? `<div class="page-metrics">
+          ${this.renderVital(page.metrics.renderBlockingResources, 'Render-Blocking', '')}
+          ${this.renderVital(page.metrics.renderBlockingTime, 'Blocking Time', 'ms')}
+          ${this.renderVital(page.metrics.criticalChainDepth, 'Chain Depth', '')}
+          ${this.renderVital(page.metrics.criticalChainDuration, 'Chain Time', 'ms')}
+        </div>` : ''}
+        
+        ${page.headers && page.headers.protocols.length ? this.renderHeaders(page.headers) : ''}
+        
+        ${page.images && page.images.offenders.length ? this.renderImageOffenders(page.images) : ''}
+        
+        ${page.coverage && page.coverage.files.length ? this.renderCoverage(page.coverage) : ''}
+        
+        ${page.mainThread && page.mainThread.categories.length ? this.renderMainThread(page.mainThread) : ''}
+        
+        ${page.thirdParties && page.thirdParties.vendors.length ? this.renderThirdParties(page.thirdParties) : ''}
+        
         <div class="findings">
           <h4>🔍 Performance Issues Found</h4>
+          ${page.findings.findings.length === 0 ? '<p class="findings-empty">No issues found. Every audit rule passed.</p>' : ''}
           ${page.findings.findings.map(finding => `
             <div class="finding finding-${finding.impact}">
               <div class="finding-header">
@@ -207,7 +664,7 @@ class SpeedAudit {
           `).join('')}
         </div>
         
-        <div class="fixes">
+        ${page.findings.fixes.length ? `<div class="fixes">
           <h4>🛠️ Actionable Recommendations</h4>
           ${page.findings.fixes.map((fix, index) => `
             <div class="fix fix-priority-${fix.priority || 3}">
@@ -222,13 +679,240 @@ class SpeedAudit {
               <div class="fix-detail">${fix.detail}</div>
             </div>
           `).join('')}
-        </div>
+        </div>` : ''}
       `;
       
       container.appendChild(pageDiv);
     });
   }
   
+  renderSamples(samples) {
+    const metrics = ['lcp', 'fcp', 'tbt', 'cls', 'ttfb'].filter(metric => samples.stats[metric]);
+    return `
+      <div class="samples">
+        <div class="samples-header">
+          Median of ${samples.runs} runs
+          <span class="variance variance-${samples.variance.level}">
+            ${samples.variance.level.toUpperCase()} VARIANCE (CV ${(samples.variance.maxCv * 100).toFixed(0)}%)
+          </span>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>Metric</th><th>Median</th><th>p75</th><th>Min</th><th>Max</th></tr>
+          </thead>
+          <tbody>
+            ${metrics.map(metric => {
+              const stat = samples.stats[metric];
+              return `<tr>
+                <td>${metric.toUpperCase()}</td>
+                <td class="numeric">${stat.median}</td>
+                <td class="numeric">${stat.p75}</td>
+                <td class="numeric">${stat.min}</td>
+                <td class="numeric">${stat.max}</td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  // HAR, trace and screenshot downloads; only stored audits can serve them
+  renderArtifactLinks(artifacts) {
+    const id = this.currentResults && this.currentResults.id;
+    if (!id) return '';
+    const link = (file, label) => (file
+      ? `<a class="link-button" href="/api/history/${encodeURIComponent(id)}/artifacts/${file.split('/').map(encodeURIComponent).join('/')}" download>${label}</a>`
+      : '');
+    return `<div class="page-artifacts">${link(artifacts.har, '⬇️ HAR')} ${link(artifacts.trace, '⬇️ Trace')} ${link(artifacts.screenshot, '⬇️ Screenshot')}</div>`;
+  }
+  
+  renderFilmstrip(filmstrip) {
+    const complete = filmstrip.visuallyComplete === null ? '' : ` · visually complete at ${filmstrip.visuallyComplete}ms`;
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          🎞️ Filmstrip
+          <span class="resource-savings">Speed Index ${filmstrip.speedIndex}ms${complete}</span>
+        </div>
+        <div class="filmstrip">
+          ${filmstrip.frames.map(frame => `
+            <figure class="filmstrip-frame">
+              <img src="${frame.image}" alt="Viewport at ${frame.time}ms" loading="lazy">
+              <figcaption>${(frame.time / 1000).toFixed(1)}s · ${Math.round(frame.progress * 100)}%</figcaption>
+            </figure>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+  
+  renderImageOffenders(images) {
+    const size = dims => (dims ? `${dims.width}×${dims.height}` : '—');
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          🖼️ ${images.count} images, ${this.formatBytes(images.totalBytes)}
+          <span class="resource-savings">~${this.formatBytes(images.potentialSavings)} potential savings</span>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>Image</th><th>Format</th><th>Size</th><th>Intrinsic</th><th>Rendered</th><th>Savings</th><th>Issues</th></tr>
+          </thead>
+          <tbody>
+            ${images.offenders.map(image => `<tr>
+              <td class="resource-url" title="${image.url}">${image.url.split('?')[0].split('/').pop() || image.url}</td>
+              <td>${image.format.toUpperCase()}</td>
+              <td class="numeric">${this.formatBytes(image.bytes)}</td>
+              <td class="numeric">${size(image.intrinsic)}</td>
+              <td class="numeric">${size(image.rendered)}${image.rendered ? ` @${image.dpr}x` : ''}</td>
+              <td class="numeric">${this.formatBytes(image.savings)}</td>
+              <td>${image.issues.join(', ')}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  renderCoverage(coverage) {
+    const { scripts, stylesheets } = coverage;
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          📦 Unused code during load
+          <span class="resource-savings">JS ${scripts.unusedPercent}% of ${this.formatBytes(scripts.totalBytes)} · CSS ${stylesheets.unusedPercent}% of ${this.formatBytes(stylesheets.totalBytes)}</span>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>File</th><th>Type</th><th>Total</th><th>Used</th><th>Unused</th><th>Wasted</th></tr>
+          </thead>
+          <tbody>
+            ${coverage.files.map(file => `<tr>
+              <td class="resource-url" title="${file.url}">${file.inline ? 'inline' : file.url.split('?')[0].split('/').pop() || file.url}</td>
+              <td>${file.type === 'script' ? 'JS' : 'CSS'}</td>
+              <td class="numeric">${this.formatBytes(file.totalBytes)}</td>
+              <td class="numeric">${this.formatBytes(file.usedBytes)}</td>
+              <td class="numeric">${file.unusedPercent}%</td>
+              <td class="numeric">${this.formatBytes(file.wastedBytes)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  renderHeaders(headers) {
+    const { caching, compression, protocols, redirects, preconnect } = headers;
+    const savings = compression.reduce((sum, file) => sum + file.savings, 0);
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          🌐 Network
+          <span class="resource-savings">${caching.length} weakly cached · ${compression.length} uncompressed (${this.formatBytes(savings)}) · ${redirects.hops.length} redirects · ${preconnect.length} missing preconnects</span>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>Origin</th><th>Protocol</th><th>Requests</th><th>Party</th></tr>
+          </thead>
+          <tbody>
+            ${protocols.slice(0, 10).map(origin => `<tr>
+              <td class="resource-url" title="${origin.origin}">${origin.origin.replace(/^https?:\/\//, '')}</td>
+              <td>${origin.protocol}</td>
+              <td class="numeric">${origin.requests}</td>
+              <td>${origin.firstParty ? 'First' : 'Third'}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  renderMainThread(mainThread) {
+    const fileName = url => url.split('?')[0].split('/').pop() || url;
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          🧵 Main thread
+          <span class="resource-savings">${mainThread.totalTime}ms · ${mainThread.longTaskCount} long tasks · ${mainThread.totalBlockingTime}ms blocking</span>
+        </div>
+        <div class="main-thread-categories">
+          ${mainThread.categories.map(category => `<span class="main-thread-category">${category.label} <strong>${category.time}ms</strong></span>`).join('')}
+        </div>
+        ${mainThread.scripts.length ? `<table class="data-table">
+          <thead>
+            <tr><th>Script</th><th>Total</th><th>Evaluation</th><th>Parse &amp; Compile</th></tr>
+          </thead>
+          <tbody>
+            ${mainThread.scripts.slice(0, 10).map(script => `<tr>
+              <td class="resource-url" title="${script.url}">${fileName(script.url)}</td>
+              <td class="numeric">${script.total}ms</td>
+              <td class="numeric">${script.scriptEvaluation}ms</td>
+              <td class="numeric">${script.scriptParseCompile}ms</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+        ${mainThread.longTasks.length ? `<table class="data-table">
+          <thead>
+            <tr><th>Long Task</th><th>Start</th><th>Mostly</th><th>Script</th></tr>
+          </thead>
+          <tbody>
+            ${mainThread.longTasks.map(task => `<tr>
+              <td class="numeric">${task.duration}ms</td>
+              <td class="numeric">${task.start}ms</td>
+              <td>${task.categoryLabel}</td>
+              <td class="resource-url" title="${task.url || ''}">${task.url ? fileName(task.url) : ''}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+      </div>
+    `;
+  }
+  
+  renderThirdParties(thirdParties) {
+    const time = value => (value === null ? 'N/A' : `${value}ms`);
+    return `
+      <div class="resource-audit">
+        <div class="resource-header">
+          🧩 ${thirdParties.vendors.length} third-party vendors
+          <span class="resource-savings">${thirdParties.requests} requests · ${this.formatBytes(thirdParties.bytes)}${thirdParties.mainThreadTime === null ? '' : ` · ${thirdParties.mainThreadTime}ms main thread`}</span>
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr><th>Vendor</th><th>Category</th><th>Requests</th><th>Bytes</th><th>Main Thread</th><th>Blocking</th></tr>
+          </thead>
+          <tbody>
+            ${thirdParties.vendors.slice(0, 10).map(vendor => `<tr>
+              <td class="resource-url" title="${vendor.hosts.join(', ')}">${vendor.name}</td>
+              <td>${vendor.categoryLabel}</td>
+              <td class="numeric">${vendor.requests}</td>
+              <td class="numeric">${this.formatBytes(vendor.bytes)}</td>
+              <td class="numeric">${time(vendor.mainThreadTime)}</td>
+              <td class="numeric">${time(vendor.blockingTime)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  renderVital(value, label, unit) {
+    const display = value === null || value === undefined ? 'N/A' : `${value}${unit}`;
+    return `
+      <div class="page-metric">
+        <span class="page-metric-value">${display}</span>
+        <span class="page-metric-label">${label}</span>
+      </div>
+    `;
+  }
+  
+  formatBytes(bytes) {
+    if (!bytes) return '0B';
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${bytes}B`;
+  }
+  
   hideAllSections() {
     this.loadingSection.classList.add('hidden');
     this.resultsSection.classList.add('hidden');
@@ -6,33 +6,269 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { runAudit } = require('./src/audit-engine');
+const { runAudit, resolveAuditOptions } = require('./src/audit-engine');
+const { createJobQueue, MAX_PENDING, TERMINAL_EVENTS } = require('./src/job-queue');
+const { createStore } = require('./src/storage');
+const { diffAudits } = require('./src/diff');
+const { renderHtml, renderMarkdown } = require('./src/report');
+const { resolveArtifactFile } = require('./src/artifacts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Extra audit rules are loaded from the server's own files, never from request bodies
+const RULE_MODULES = (process.env.AUDIT_RULE_MODULES || '')
+  .split(',')
+  .map(modulePath => modulePath.trim())
+  .filter(Boolean);
+
+// Report downloads by ?format=
+const REPORT_FORMATS = {
+  html: { render: renderHtml, extension: 'html' },
+  markdown: { render: renderMarkdown, extension: 'md' }
+};
+
 app.use(cors());
-app.use(express.json());
+// Full audit results are posted to /api/compare, so allow larger bodies
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-// API endpoint for running audits
-app.post('/api/audit', async (req, res) => {
-  const { url } = req.body;
+// Completed audits are kept for history and trends
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER || 'json',
+  dataDir
+});
+
+// HAR files and traces for audits that ask to keep them
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(dataDir, 'artifacts');
+
+// Audits run in the background; one Chromium per running job
+const auditQueue = createJobQueue({
+  concurrency: parseInt(process.env.AUDIT_CONCURRENCY, 10) || 1,
+  maxPending: parseInt(process.env.AUDIT_QUEUE_LIMIT, 10) || MAX_PENDING,
+  runner: async ({ url, options }, emit) => {
+    console.log(`[AUDIT] Starting audit for ${url}`);
+    try {
+      const results = await runAudit(url, { ...options, onProgress: emit });
+      // A history write failure shouldn't cost the caller the finished audit
+      try {
+        const saved = await store.save(results);
+        return { ...results, id: saved.id };
+      } catch (error) {
+        console.error('[STORAGE] Could not save audit:', error);
+        return { ...results, id: null };
+      }
+    } catch (error) {
+      console.error('[ERROR]', error);
+      throw error;
+    }
+  }
+});
+
+// Queue an audit and return its job id
+app.post('/api/audit', (req, res) => {
+  const { url, weights, throttling, devices, runs, maxPages, urls, allowOtherOrigins, crawlDepth, sitemap, categories, flows, login, rules, firstPartyDomains, artifacts } = req.body;
   
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
+  if (rules && rules.modules) {
+    return res.status(400).json({ error: 'Invalid audit options', message: 'Rule modules can only be set on the server with AUDIT_RULE_MODULES' });
+  }
+  // Logins and env fills would send the server's SPEEDAUDIT_ secrets (or read its files) to whatever site the caller names
+  const fillsSecrets = Array.isArray(flows) && flows.some(flow => flow && Array.isArray(flow.steps) && flow.steps.some(step => step && step.env !== undefined));
+  if (login || fillsSecrets) {
+    return res.status(400).json({ error: 'Invalid audit options', message: 'login and env-backed fill steps can only be used from the CLI or speedaudit.config.json; use fill steps with a value in API flows' });
+  }
+  // regex: patterns run against every discovered URL, so one that backtracks badly would stall the queue
+  const categoryPatterns = categories && typeof categories === 'object'
+    ? Object.values(categories).flatMap(category => (Array.isArray(category) ? category : category && Array.isArray(category.patterns) ? category.patterns : []))
+    : [];
+  if (categoryPatterns.some(pattern => typeof pattern === 'string' && pattern.startsWith('regex:'))) {
+    return res.status(400).json({ error: 'Invalid audit options', message: 'regex: category patterns can only be used from the CLI or speedaudit.config.json; use paths or globs in API requests' });
+  }
+  if (artifacts && artifacts !== true && (typeof artifacts !== 'object' || artifacts.dir)) {
+    return res.status(400).json({ error: 'Invalid audit options', message: 'artifacts must be true or { "har": true, "trace": true, "screenshot": true }; files are saved to ARTIFACTS_DIR on the server' });
+  }
 
+  const options = {
+    weights, throttling, devices, runs, maxPages, urls, allowOtherOrigins, crawlDepth, sitemap, categories, flows, login, firstPartyDomains,
+    rules: { ...rules, modules: RULE_MODULES },
+    artifacts: artifacts ? { ...(artifacts === true ? {} : artifacts), dir: ARTIFACTS_DIR } : undefined
+  };
   try {
-    console.log(`[AUDIT] Starting audit for ${url}`);
-    const results = await runAudit(url);
-    res.json(results);
+    resolveAuditOptions(options);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid audit options', message: error.message });
+  }
+
+  const job = auditQueue.submit({ url, options });
+  if (!job) {
+    return res.status(429)
+      .set('Retry-After', '60')
+      .json({ error: 'Audit queue is full', message: 'Too many audits are waiting; try again once some have finished' });
+  }
+  res.status(202)
+    .location(`/api/audit/${job.id}`)
+    .json(job);
+});
+
+// Job status, progress and (once completed) the result
+app.get('/api/audit/:id', (req, res) => {
+  const job = auditQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Audit job not found' });
+  }
+  res.json(job);
+});
+
+// Live progress as Server-Sent Events; replays from Last-Event-ID on reconnect
+app.get('/api/audit/:id/events', (req, res) => {
+  if (!auditQueue.get(req.params.id)) {
+    return res.status(404).json({ error: 'Audit job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = event => {
+    if (res.writableEnded) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_EVENTS.includes(event.type)) res.end();
+  };
+  
+  // Keep proxies from closing an idle stream during long page loads
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': heartbeat\n\n');
+  }, 15000);
+  
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  const unsubscribe = auditQueue.subscribe(
+    req.params.id,
+    send,
+    Number.isNaN(lastEventId) ? -1 : lastEventId
+  ) || (() => {});
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Cancel a queued job
+app.delete('/api/audit/:id', (req, res) => {
+  try {
+    const job = auditQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Audit job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(409).json({ error: 'Cannot cancel audit', message: error.message });
+  }
+});
+
+// Past audits for a site, newest first
+app.get('/api/history', async (req, res) => {
+  const { url, limit } = req.query;
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+  
+  try {
+    res.json(await store.list(url, { limit: parseInt(limit, 10) || undefined }));
+  } catch (error) {
+    res.status(400).json({ error: 'Could not load history', message: error.message });
+  }
+});
+
+// Score and per-page metric time series for a site
+app.get('/api/history/trend', async (req, res) => {
+  const { url, limit } = req.query;
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+  
+  try {
+    res.json(await store.trend(url, { limit: parseInt(limit, 10) || undefined }));
+  } catch (error) {
+    res.status(400).json({ error: 'Could not load trend', message: error.message });
+  }
+});
+
+// One stored audit result
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const result = await store.get(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+    res.json(result);
   } catch (error) {
     console.error('[ERROR]', error);
-    res.status(500).json({ 
-      error: 'Audit failed', 
-      message: error.message 
+    res.status(500).json({ error: 'Could not load audit', message: error.message });
+  }
+});
+
+// One stored audit as a downloadable HTML or Markdown report
+app.get('/api/history/:id/report', async (req, res) => {
+  const format = req.query.format || 'html';
+  if (!REPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Unknown report format', message: `Use ${Object.keys(REPORT_FORMATS).join(' or ')}` });
+  }
+  
+  try {
+    const result = await store.get(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Audit not found' });
+    }
+    const { render, extension } = REPORT_FORMATS[format];
+    const host = new URL(result.url).hostname;
+    res.attachment(`speed-audit-${host}-${result.timestamp.slice(0, 10)}.${extension}`)
+      .send(render(result));
+  } catch (error) {
+    console.error('[ERROR]', error);
+    res.status(500).json({ error: 'Could not render report', message: error.message });
+  }
+});
+
+// A HAR file or trace saved with a stored audit
+app.get('/api/history/:id/artifacts/:folder/:file', async (req, res) => {
+  const artifact = `${req.params.folder}/${req.params.file}`;
+  
+  try {
+    const result = await store.get(req.params.id);
+    const saved = result && result.pages.some(page => page.artifacts && Object.values(page.artifacts).includes(artifact));
+    const file = saved && resolveArtifactFile(ARTIFACTS_DIR, artifact);
+    if (!file) {
+      return res.status(404).json({ error: 'Artifact not found' });
+    }
+    res.download(file, req.params.file, error => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Artifact not found', message: 'The file is no longer on the server' });
     });
+  } catch (error) {
+    console.error('[ERROR]', error);
+    res.status(500).json({ error: 'Could not load artifact', message: error.message });
+  }
+});
+
+// Diff two audit results
+app.post('/api/compare', (req, res) => {
+  const { before, after, tolerance } = req.body || {};
+  if (!before || !after) {
+    return res.status(400).json({ error: 'Both "before" and "after" results are required' });
+  }
+  
+  try {
+    res.json(diffAudits(before, after, { tolerance }));
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid comparison', message: error.message });
   }
 });
 
@@ -41,7 +277,9 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'CodeBru Speed Audit',
-    version: '1.0.0'
+    version: '1.0.0',
+    queue: auditQueue.stats(),
+    storage: store.driver
   });
 });
 
@@ -0,0 +1,91 @@
+/**
+ * Debug Artifacts
+ * Optional HAR files, Chrome traces and full-page screenshots for each page
+ * load, saved under an artifacts directory so runs can be opened in DevTools
+ * or a HAR viewer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Validate artifact options: a directory, or { dir, har, trace, screenshot } to pick the files
+ */
+function resolveArtifacts(artifacts) {
+  if (!artifacts) return null;
+  const options = typeof artifacts === 'string' ? { dir: artifacts } : artifacts;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('artifacts must be a directory or an object like { "dir": "./artifacts" }');
+  }
+  if (typeof options.dir !== 'string' || !options.dir.trim()) {
+    throw new Error('artifacts.dir must be a directory path');
+  }
+  for (const key of ['har', 'trace', 'screenshot']) {
+    if (options[key] !== undefined && typeof options[key] !== 'boolean') {
+      throw new Error(`artifacts.${key} must be true or false`);
+    }
+  }
+  return {
+    dir: path.resolve(options.dir),
+    har: options.har !== false,
+    trace: options.trace !== false,
+    screenshot: options.screenshot !== false
+  };
+}
+
+/**
+ * Create the folder for one audit's artifacts, named after the site and time
+ */
+async function createArtifactsFolder(artifacts, siteUrl) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+  const folder = `${new URL(siteUrl).hostname}-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  await fs.promises.mkdir(path.join(artifacts.dir, folder), { recursive: true });
+  return { ...artifacts, folder };
+}
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'page';
+
+/**
+ * Paths, relative to the artifacts directory, for one page load's files
+ */
+function artifactPaths(artifacts, name) {
+  const base = `${artifacts.folder}/${slug(name)}`;
+  return {
+    har: artifacts.har ? `${base}.har` : null,
+    trace: artifacts.trace ? `${base}.trace.json` : null,
+    screenshot: artifacts.screenshot ? `${base}.screenshot.jpg` : null
+  };
+}
+
+/**
+ * Absolute path of an artifact, or null when the path leaves the artifacts directory
+ */
+function resolveArtifactFile(dir, relativePath) {
+  const root = path.resolve(dir);
+  const file = path.resolve(root, relativePath);
+  return file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * Save trace events in the JSON format the DevTools Performance panel loads
+ */
+async function writeTrace(artifacts, relativePath, events) {
+  await fs.promises.writeFile(resolveArtifactFile(artifacts.dir, relativePath), JSON.stringify({ traceEvents: events }));
+}
+
+/**
+ * Save a JPEG screenshot
+ */
+async function writeScreenshot(artifacts, relativePath, image) {
+  await fs.promises.writeFile(resolveArtifactFile(artifacts.dir, relativePath), image);
+}
+
+module.exports = {
+  resolveArtifacts,
+  createArtifactsFolder,
+  artifactPaths,
+  resolveArtifactFile,
+  writeTrace,
+  writeScreenshot
+};
@@ -3,15 +3,24 @@
  * Based on proven methodology from production deployments
  */
 
-const { chromium, devices } = require('playwright');
-
-// Page patterns for discovering high-value pages
-const PAGE_PATTERNS = {
-  'saas': ['/pricing', '/plans', '/demo', '/signup', '/sign-up', '/register', '/get-started'],
-  'ecommerce': ['/products', '/shop', '/store', '/cart', '/checkout'],
-  'booking': ['/book', '/booking', '/schedule', '/appointment', '/reserve'],
-  'contact': ['/contact', '/contact-us', '/get-in-touch']
-};
+const { chromium } = require('playwright');
+const { installVitalsObserver, vitalsMarker, collectVitals, largestContentfulPaintElement } = require('./vitals');
+const { scorePage, scoreAudit, resolveWeights } = require('./scoring');
+const { resolveThrottling, applyThrottling } = require('./throttling');
+const { resolveDevices } = require('./devices');
+const { resolveRuns, aggregateMetrics, varianceLevel, representativeRun } = require('./sampling');
+const { trackRequests, applyResourceTimings, summarizeBytes, formatBytes } = require('./network');
+const { trackInitiators, analyzeCriticalPath, criticalPathMetrics } = require('./critical-path');
+const { analyzeImages, imageMetrics } = require('./images');
+const { startCoverage, stopCoverage, coverageMetrics } = require('./coverage');
+const { startTrace, mainThreadTasks, mainThreadBreakdown, mainThreadMetrics } = require('./trace');
+const { startScreencast, fullPageScreenshot, analyzeFilmstrip, filmstripMetrics } = require('./filmstrip');
+const { trackResponses, analyzeHeaders, headerMetrics } = require('./headers');
+const { resolveArtifacts, createArtifactsFolder, artifactPaths, resolveArtifactFile, writeTrace, writeScreenshot } = require('./artifacts');
+const { resolveFirstPartyDomains, createPartyClassifier, summarizeThirdParties, thirdPartyMetrics } = require('./third-party');
+const { resolveDiscovery, discoverPages } = require('./discovery');
+const { resolveFlows, runStep } = require('./flows');
+const { BUILTIN_RULES, resolveRules, runRules } = require('./rules');
 
 /**
  * Quick site validation
@@ -31,130 +40,201 @@ async function validateSite(url) {
     clearTimeout(timeoutId);
     return response.status < 400;
   } catch (error) {
-    console.log(`[VALIDATE] Error validating ${url}:`, error.message);
+    console.error(`[VALIDATE] Error validating ${url}:`, error.message);
     return false;
   }
 }
 
 /**
- * Discover high-value pages on the site
+ * Context options that record a HAR file, when artifacts are kept
  */
-async function discoverMoneyPages(baseUrl) {
-  const discovered = [];
-  const urlObj = new URL(baseUrl);
-  const baseHost = `${urlObj.protocol}//${urlObj.host}`;
-  
-  // Always check homepage
-  discovered.push({ url: baseUrl, type: 'homepage', label: 'Homepage' });
-  
-  // Try to find other high-value pages
-  for (const [category, patterns] of Object.entries(PAGE_PATTERNS)) {
-    for (const pattern of patterns) {
-      try {
-        const testUrl = `${baseHost}${pattern}`;
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 3000);
-        
-        const response = await fetch(testUrl, { 
-          method: 'HEAD',
-          signal: controller.signal,
-          redirect: 'follow'
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (response.status === 200) {
-          discovered.push({
-            url: testUrl,
-            type: category,
-            label: pattern.replace('/', '').replace('-', ' ').charAt(0).toUpperCase() + 
-                   pattern.slice(2).replace('-', ' ')
-          });
-          break; // Found one for this category
-        }
-      } catch (error) {
-        // Page doesn't exist, continue
-      }
-    }
-  }
-  
-  return discovered;
+function harOptions(artifactOptions, paths) {
+  if (!paths || !paths.har) return {};
+  return { recordHar: { path: resolveArtifactFile(artifactOptions.dir, paths.har), content: 'omit' } };
 }
 
 /**
- * Run performance audit on a specific page
+ * Navigate and wait for the page to settle
  */
-async function auditPage(url, browser) {
-  const context = await browser.newContext({
-    ...devices['iPhone 12'],
-    // Simulate slower connection
-    offline: false
-  });
-  
-  const page = await context.newPage();
-  
-  // Track network requests
-  const requests = [];
-  const resourceTimings = {};
-  
-  page.on('request', request => {
-    requests.push({
-      url: request.url(),
-      type: request.resourceType(),
-      method: request.method()
-    });
-  });
-  
-  page.on('response', response => {
-    const request = requests.find(r => r.url === response.url());
-    if (request) {
-      request.status = response.status();
-      request.size = response.headers()['content-length'] || 0;
-    }
-  });
-  
-  // Navigate and measure
-  const startTime = Date.now();
-  
+async function loadPage(page, url) {
   try {
     await page.goto(url, { 
-      waitUntil: 'domcontentloaded', 
+      waitUntil: 'load', 
       timeout: 30000 
     });
     
-    // Wait for some resources to load
-    await page.waitForTimeout(3000);
+    // Let late LCP candidates and layout shifts settle
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
     
   } catch (error) {
     throw new Error(`Failed to load page: ${error.message}`);
   }
+}
+
+/**
+ * Load a page with nothing but the vitals observer and throttling attached
+ */
+async function measureVitals(url, browser, { device, throttling }) {
+  const context = await browser.newContext({ ...device.contextOptions, offline: false });
+  try {
+    const page = await context.newPage();
+    await page.addInitScript(installVitalsObserver);
+    await applyThrottling(page, throttling);
+    await loadPage(page, url);
+    return await collectVitals(page);
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Run performance audit on a specific page. Coverage, tracing and the
+ * screencast slow the page down, so vitals and load time come from a separate
+ * clean load and the instrumented load only feeds the analyses.
+ */
+async function auditPage(url, browser, options = {}) {
+  const throttling = options.throttling || resolveThrottling();
+  const device = options.device || resolveDevices()[0];
+  const vitals = await measureVitals(url, browser, { device, throttling });
+  const loadTime = (vitals.loadEvent || 0) / 1000;
   
-  const loadTime = (Date.now() - startTime) / 1000;
+  const artifacts = options.artifacts ? artifactPaths(options.artifacts, options.artifactName || url) : null;
+  const context = await browser.newContext({
+    ...device.contextOptions,
+    ...harOptions(options.artifacts, artifacts),
+    offline: false
+  });
   
-  // Analyze requests
-  const imageRequests = requests.filter(r => r.type === 'image');
+  // Close the context even when navigation or a collector fails, so runs don't leak contexts
+  try {
+    const page = await context.newPage();
+    await page.addInitScript(installVitalsObserver);
+    
+    // Simulate slower connection and mobile CPU
+    await applyThrottling(page, throttling);
+    
+    // Track network requests
+    const network = trackRequests(page);
+    const { requests } = network;
+    
+    // Record who requested what, for the critical request chain
+    const initiators = await trackInitiators(page);
+    // Response headers and protocols, for caching, compression and redirect checks
+    const responses = await trackResponses(page);
+    await startCoverage(page);
+    const trace = await startTrace(page);
+    const screencast = await startScreencast(page);
+    
+    // Navigate and record; vitals from this load only line up the trace and CDP data
+    await loadPage(page, url);
+    const loadVitals = await collectVitals(page);
+    const lcpElement = await largestContentfulPaintElement(page);
+    
+    await network.settle();
+    await applyResourceTimings(page, requests);
+    
+    const frames = await screencast.stop();
+    const traceEvents = await trace.stop();
+    const tasks = mainThreadTasks(traceEvents);
+    const mainThread = mainThreadBreakdown(tasks, { fcp: loadVitals.fcp });
+    if (artifacts && artifacts.trace) {
+      await writeTrace(options.artifacts, artifacts.trace, traceEvents);
+    }
+    const firstPartyDomains = options.firstPartyDomains || [];
+    const thirdParties = summarizeThirdParties(requests, { pageUrl: url, firstPartyDomains, tasks });
+    
+    const criticalPath = await analyzeCriticalPath(page, initiators, { fcp: loadVitals.fcp });
+    const headers = await analyzeHeaders(page, responses, { pageUrl: url, firstPartyDomains, fcp: loadVitals.fcp });
+    const images = await analyzeImages(page, requests);
+    const coverage = await stopCoverage(page, requests);
+    const filmstrip = await analyzeFilmstrip(page, frames);
+    // The full-page screenshot resizes the viewport, so take it after the DOM-based analyses
+    if (artifacts && artifacts.screenshot) {
+      const screenshot = await fullPageScreenshot(page);
+      if (screenshot) {
+        await writeScreenshot(options.artifacts, artifacts.screenshot, screenshot);
+      } else {
+        artifacts.screenshot = null;
+      }
+    }
+    const formIssues = await checkForms(page);
+    
+    const audit = {
+      url,
+      loadTime,
+      metrics: {
+        ...vitals,
+        ...requestMetrics(requests, url, firstPartyDomains),
+        ...criticalPathMetrics(criticalPath),
+        ...headerMetrics(headers),
+        ...imageMetrics(images),
+        ...coverageMetrics(coverage),
+        ...thirdPartyMetrics(thirdParties),
+        ...mainThreadMetrics(mainThread),
+        ...filmstripMetrics(filmstrip)
+      },
+      formIssues,
+      requests: serializeRequests(requests),
+      lcpElement,
+      renderBlocking: criticalPath.renderBlocking,
+      criticalChain: criticalPath.criticalChain,
+      headers,
+      images,
+      coverage,
+      thirdParties,
+      mainThread,
+      filmstrip,
+      ...(artifacts ? { artifacts } : {})
+    };
+    
+    // Generate findings
+    audit.findings = generateFindings(audit, options.rules);
+    
+    return audit;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Request counts and page weight for the requests a page (or flow step) made
+ */
+function requestMetrics(requests, url, firstPartyDomains = []) {
+  const { totalBytes, totalDecodedBytes, bytesByType } = summarizeBytes(requests);
   const scriptRequests = requests.filter(r => r.type === 'script');
-  const stylesheetRequests = requests.filter(r => r.type === 'stylesheet');
-  
-  // Find largest resources
-  const sortedBySize = requests
-    .filter(r => r.size)
-    .sort((a, b) => parseInt(b.size) - parseInt(a.size));
+  const largestResource = findLargestResource(requests);
   
-  const largestResource = sortedBySize[0];
+  // Count third-party scripts; the site's own subdomains and first-party domains don't count
+  const isFirstParty = createPartyClassifier(url, firstPartyDomains);
+  const thirdPartyScripts = scriptRequests.filter(r => !isFirstParty(r.url));
   
-  // Count third-party scripts
-  const pageHost = new URL(url).host;
-  const thirdPartyScripts = scriptRequests.filter(r => {
-    try {
-      return new URL(r.url).host !== pageHost;
-    } catch {
-      return false;
-    }
-  });
-  
-  // Check for forms
-  const hasForms = await page.evaluate(() => {
+  return {
+    totalRequests: requests.length,
+    images: requests.filter(r => r.type === 'image').length,
+    scripts: scriptRequests.length,
+    stylesheets: requests.filter(r => r.type === 'stylesheet').length,
+    thirdPartyScripts: thirdPartyScripts.length,
+    totalBytes,
+    totalDecodedBytes,
+    bytesByType,
+    largestResourceSize: largestResource ? formatBytes(largestResource.transferSize) : 'N/A'
+  };
+}
+
+/**
+ * Request list as stored in results
+ */
+function serializeRequests(requests) {
+  return requests.map(({ url, type, status, mimeType, transferSize, decodedSize }) => ({
+    url, type, status, mimeType, transferSize, decodedSize
+  }));
+}
+
+/**
+ * Whether the page has forms with several inputs missing autocomplete
+ */
+async function checkForms(page) {
+  return page.evaluate(() => {
     const forms = document.querySelectorAll('form');
     if (forms.length === 0) return false;
     
@@ -170,230 +250,203 @@ async function auditPage(url, browser) {
     
     return issueCount > 2;
   });
-  
-  await context.close();
-  
-  // Generate findings
-  const findings = generateFindings({
-    loadTime,
-    totalRequests: requests.length,
-    imageCount: imageRequests.length,
-    scriptCount: scriptRequests.length,
-    thirdPartyScripts: thirdPartyScripts.length,
-    largestResource,
-    hasForms
-  });
-  
-  return {
-    url,
-    loadTime,
-    metrics: {
-      totalRequests: requests.length,
-      images: imageRequests.length,
-      scripts: scriptRequests.length,
-      stylesheets: stylesheetRequests.length,
-      thirdPartyScripts: thirdPartyScripts.length,
-      largestResourceSize: largestResource ? `${(parseInt(largestResource.size) / 1024 / 1024).toFixed(1)}MB` : 'N/A'
-    },
-    findings
-  };
 }
 
 /**
- * Generate detailed actionable findings
+ * Run a user flow in one browser context and audit each measured step as its own
+ * transition: full page vitals when the step navigated, otherwise layout shifts,
+ * blocking time and interaction latency from the step alone.
  */
-function generateFindings(data) {
-  const findings = [];
-  const fixes = [];
-  
-  // Critical Issue: Slow Load Time
-  if (data.loadTime > 4) {
-    findings.push({
-      issue: `Page takes ${data.loadTime.toFixed(1)}s to load on mobile - users expect under 3s`,
-      impact: "critical",
-      category: "performance",
-      metric: `${data.loadTime.toFixed(1)}s load time`,
-      threshold: "Target: <3s"
-    });
-    fixes.push({
-      action: "Implement critical resource prioritization",
-      detail: "Load essential content first, defer everything else",
-      difficulty: "medium",
-      priority: 1
-    });
-  } else if (data.loadTime > 2.5) {
-    findings.push({
-      issue: `Page loads in ${data.loadTime.toFixed(1)}s - could be faster on mobile`,
-      impact: "high",
-      category: "performance", 
-      metric: `${data.loadTime.toFixed(1)}s load time`,
-      threshold: "Target: <2.5s"
-    });
-  }
+async function auditFlow(flow, browser, options = {}) {
+  const { throttling, device, login, baseUrl, allowOtherOrigins, onStep = () => {} } = options;
+  // A flow shares one context, so its steps share one HAR file and have no trace
+  const artifacts = options.artifacts && options.artifacts.har
+    ? { har: artifactPaths(options.artifacts, options.artifactName || flow.name).har }
+    : null;
+  const context = await browser.newContext({
+    ...device.contextOptions,
+    ...(login && login.type === 'storageState' ? { storageState: login.storageState } : {}),
+    ...harOptions(options.artifacts, artifacts),
+    offline: false
+  });
+  const steps = [];
   
-  // Large Resource Issues  
-  if (data.largestResource && parseInt(data.largestResource.size) > 1000000) {
-    const sizeMB = (parseInt(data.largestResource.size) / 1024 / 1024).toFixed(1);
-    findings.push({
-      issue: `Largest resource is ${sizeMB}MB - too heavy for mobile connections`,
-      impact: "high",
-      category: "resources",
-      metric: `${sizeMB}MB file`,
-      threshold: "Target: <1MB"
-    });
+  try {
+    const page = await context.newPage();
+    await page.addInitScript(installVitalsObserver);
+    await applyThrottling(page, throttling);
+    const network = trackRequests(page);
     
-    if (data.largestResource.type === 'image') {
-      fixes.push({
-        action: "Optimize and compress the large image",
-        detail: "Use modern formats (WebP/AVIF), resize for mobile screens, implement lazy loading",
-        difficulty: "easy",
-        priority: 1
-      });
-    } else if (data.largestResource.type === 'script') {
-      fixes.push({
-        action: "Split the large JavaScript bundle",
-        detail: "Use code splitting, tree shaking, and load non-critical code after page render",
-        difficulty: "medium", 
-        priority: 2
-      });
+    for (const [index, step] of flow.steps.entries()) {
+      const before = await vitalsMarker(page);
+      const firstRequest = network.requests.length;
+      const started = Date.now();
+      
+      try {
+        await runStep(page, step, { login, baseUrl, allowOtherOrigins });
+      } catch (error) {
+        throw new Error(`Step ${index + 1} (${step.label}) failed: ${error.message}`);
+      }
+      const interactionTime = Date.now() - started;
+      if (!step.measure) continue;
+      
+      // Let late LCP candidates and layout shifts settle
+      await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+      
+      const after = await vitalsMarker(page);
+      const navigated = !before || !after || before.timeOrigin !== after.timeOrigin;
+      const vitals = await collectVitals(page, { since: navigated ? null : before.now });
+      
+      await network.settle();
+      const requests = network.requests.slice(firstRequest);
+      await applyResourceTimings(page, requests);
+      
+      const stepUrl = page.url();
+      const audit = {
+        url: stepUrl,
+        loadTime: navigated ? (vitals.loadEvent || 0) / 1000 : null,
+        metrics: {
+          ...vitals,
+          ...requestMetrics(requests, stepUrl, options.firstPartyDomains),
+          interactionTime
+        },
+        formIssues: await checkForms(page),
+        requests: serializeRequests(requests),
+        flow: flow.name,
+        step: step.label,
+        stepIndex: index,
+        stepAction: step.action,
+        navigated,
+        ...(artifacts ? { artifacts } : {})
+      };
+      audit.findings = generateFindings(audit, options.rules);
+      steps.push(audit);
+      onStep(audit);
     }
+  } finally {
+    await context.close();
   }
   
-  // Too Many Requests
-  if (data.totalRequests > 100) {
-    findings.push({
-      issue: `${data.totalRequests} HTTP requests slow down mobile loading`,
-      impact: "high",
-      category: "resources",
-      metric: `${data.totalRequests} requests`,
-      threshold: "Target: <50 requests"
-    });
-    fixes.push({
-      action: "Bundle and minimize HTTP requests",
-      detail: "Combine CSS/JS files, use CSS sprites for icons, implement resource bundling",
-      difficulty: "medium",
-      priority: 2
-    });
-  } else if (data.totalRequests > 50) {
-    findings.push({
-      issue: `${data.totalRequests} requests could be optimized for mobile`,
-      impact: "medium", 
-      category: "resources",
-      metric: `${data.totalRequests} requests`,
-      threshold: "Target: <30 requests"
-    });
-  }
-  
-  // Resource Size Issues
-  const totalSizeMB = (data.totalSize / 1024 / 1024).toFixed(1);
-  if (data.totalSize > 5000000) {
-    findings.push({
-      issue: `Total page weight is ${totalSizeMB}MB - too heavy for mobile users`,
-      impact: "high",
-      category: "resources",
-      metric: `${totalSizeMB}MB total`,
-      threshold: "Target: <3MB"
-    });
-    fixes.push({
-      action: "Reduce total page weight",
-      detail: "Compress images, minify CSS/JS, remove unused code, use modern formats",
-      difficulty: "medium",
-      priority: 2
-    });
-  }
-  
-  // Third-party Script Issues
-  if (data.thirdPartyScripts > 8) {
-    findings.push({
-      issue: `${data.thirdPartyScripts} third-party scripts slow down page loading`,
-      impact: "high",
-      category: "third-party",
-      metric: `${data.thirdPartyScripts} external scripts`,
-      threshold: "Target: <5 scripts"
-    });
-    fixes.push({
-      action: "Audit and reduce third-party scripts",
-      detail: "Remove unnecessary tracking, defer analytics scripts, combine similar tools",
-      difficulty: "easy",
-      priority: 2
-    });
-  } else if (data.thirdPartyScripts > 5) {
-    findings.push({
-      issue: `${data.thirdPartyScripts} third-party scripts could be optimized`,
-      impact: "medium",
-      category: "third-party",
-      metric: `${data.thirdPartyScripts} external scripts`,
-      threshold: "Target: <3 scripts"
-    });
-    fixes.push({
-      action: "Defer non-critical third-party scripts",
-      detail: "Load analytics and tracking scripts after main content is visible",
-      difficulty: "easy",
-      priority: 3
-    });
-  }
+  return steps;
+}
+
+/**
+ * Load a page several times in fresh contexts and report the median run.
+ * Findings and metrics come from the median; per-metric spread goes in samples.
+ */
+async function auditPageRuns(url, browser, options = {}) {
+  const runs = options.runs || 1;
+  const results = [];
+  let lastError;
   
-  // Mobile Usability Issues
-  if (data.hasForms) {
-    findings.push({
-      issue: "Forms not optimized for mobile users",
-      impact: "medium",
-      category: "usability",
-      metric: "Missing mobile optimization",
-      threshold: "Target: Full mobile optimization"
-    });
-    fixes.push({
-      action: "Optimize forms for mobile",
-      detail: "Add autocomplete attributes, proper input types, clear labels, and touch-friendly sizing",
-      difficulty: "easy",
-      priority: 3
-    });
+  for (let i = 0; i < runs; i++) {
+    try {
+      const artifactName = runs > 1 ? `${options.artifactName || url} run ${i + 1}` : options.artifactName;
+      results.push(await auditPage(url, browser, { ...options, artifactName }));
+    } catch (error) {
+      lastError = error;
+      console.error(`Run ${i + 1}/${runs} failed for ${url}:`, error.message);
+    }
   }
   
-  // Image Optimization Issues
-  if (data.imageCount > 30) {
-    findings.push({
-      issue: `${data.imageCount} images increase page load time on mobile`,
-      impact: "medium",
-      category: "resources",
-      metric: `${data.imageCount} images`,
-      threshold: "Target: <20 images"
-    });
-    fixes.push({
-      action: "Implement image lazy loading and optimization",
-      detail: "Load images only when needed, compress all images, use modern formats",
-      difficulty: "easy",
-      priority: 3
-    });
-  }
+  if (results.length === 0) throw lastError;
+  if (runs === 1) return results[0];
+  
+  const metricsList = results.map(result => result.metrics);
+  const { median, stats } = aggregateMetrics(metricsList);
+  const representative = results[representativeRun(metricsList)];
+  
+  const audit = {
+    ...representative,
+    loadTime: (median.loadEvent || 0) / 1000,
+    metrics: { ...representative.metrics, ...median },
+    samples: {
+      runs: results.length,
+      failedRuns: runs - results.length,
+      stats,
+      variance: varianceLevel(stats)
+    }
+  };
+  audit.findings = generateFindings(audit, options.rules);
   
-  // Add fallback findings if we don't have enough
-  if (findings.length === 0) {
-    findings.push({
-      issue: "Page could benefit from performance optimization",
-      impact: "low",
-      category: "general",
-      metric: "Basic optimization needed",
-      threshold: "Target: Optimized mobile experience"
-    });
-    fixes.push({
-      action: "Implement basic performance optimizations",
-      detail: "Compress images, minify CSS/JS, enable gzip compression, optimize loading strategy",
-      difficulty: "easy",
-      priority: 1
-    });
+  return audit;
+}
+
+/**
+ * Largest request by transfer size
+ */
+function findLargestResource(requests) {
+  return requests
+    .filter(r => r.transferSize)
+    .sort((a, b) => b.transferSize - a.transferSize)[0];
+}
+
+/**
+ * Build the rule input from a page audit result
+ */
+function ruleContext(audit) {
+  return {
+    url: audit.url,
+    loadTime: audit.loadTime,
+    metrics: audit.metrics,
+    requests: audit.requests,
+    largestResource: findLargestResource(audit.requests),
+    formIssues: audit.formIssues,
+    lcpElement: audit.lcpElement || null,
+    renderBlocking: audit.renderBlocking || [],
+    criticalChain: audit.criticalChain || null,
+    headers: audit.headers || null,
+    images: audit.images || null,
+    coverage: audit.coverage || null,
+    thirdParties: audit.thirdParties || null,
+    mainThread: audit.mainThread || null
+  };
+}
+
+/**
+ * Generate detailed actionable findings by running the audit rules
+ */
+function generateFindings(audit, rules = BUILTIN_RULES) {
+  return runRules(rules, ruleContext(audit));
+}
+
+/**
+ * Validate and fill in defaults for runAudit options
+ */
+function resolveAuditOptions(options = {}) {
+  const flows = resolveFlows(options.flows, options.login);
+  
+  // maxPages 0 audits only the flows
+  const maxPages = options.maxPages === undefined ? Infinity : Number(options.maxPages);
+  const minPages = flows ? 0 : 1;
+  if (maxPages !== Infinity && (!Number.isInteger(maxPages) || maxPages < minPages)) {
+    throw new Error(flows
+      ? 'maxPages must be a whole number (0 to audit only the flows)'
+      : 'maxPages must be a whole number of at least 1');
   }
   
-  // Sort fixes by priority
-  fixes.sort((a, b) => (a.priority || 99) - (b.priority || 99));
-  
-  return { findings, fixes };
+  return {
+    weights: resolveWeights(options.weights),
+    throttling: resolveThrottling(options.throttling),
+    devices: resolveDevices(options.devices),
+    runs: resolveRuns(options.runs),
+    maxPages,
+    discovery: resolveDiscovery(options),
+    flows,
+    rules: resolveRules(options.rules),
+    firstPartyDomains: resolveFirstPartyDomains(options.firstPartyDomains),
+    artifacts: resolveArtifacts(options.artifacts)
+  };
 }
 
 /**
  * Main audit function
  */
-async function runAudit(url) {
+async function runAudit(url, options = {}) {
+  // Fail fast on bad options before launching anything
+  const { weights, throttling, devices, runs, maxPages, discovery, flows, rules, firstPartyDomains, artifacts: artifactOptions } = resolveAuditOptions(options);
+  const emit = options.onProgress || (() => {});
+  
   // Validate URL
   let validUrl;
   try {
@@ -408,13 +461,29 @@ async function runAudit(url) {
   const baseUrl = validUrl.toString();
   
   // Quick validation
+  emit({ type: 'validating', url: baseUrl, message: `Checking ${baseUrl} is reachable...` });
   const isValid = await validateSite(baseUrl);
   if (!isValid) {
     throw new Error('Site is not accessible or returned an error');
   }
+  emit({ type: 'site-validated', url: baseUrl, message: `${baseUrl} is reachable` });
   
   // Discover high-value pages
-  const pages = await discoverMoneyPages(baseUrl);
+  let pages = [];
+  if (maxPages > 0) {
+    emit({ type: 'discovering', message: 'Discovering high-value pages...' });
+    pages = await discoverPages(baseUrl, { ...options, maxPages, onProgress: emit });
+    pages.forEach(page => {
+      emit({ type: 'page-discovered', url: page.url, pageType: page.type, label: page.label, source: page.source, message: `Found ${page.label}` });
+    });
+  }
+  const flowList = flows ? flows.flows : [];
+  flowList.forEach(flow => {
+    emit({ type: 'page-discovered', key: `flow:${flow.name}`, flow: flow.name, label: `Flow: ${flow.name}`, message: `Found flow ${flow.name}` });
+  });
+  
+  // One folder per audit for HAR files and traces, when kept
+  const artifacts = artifactOptions ? await createArtifactsFolder(artifactOptions, baseUrl) : null;
   
   // Launch browser
   const browser = await chromium.launch({ 
@@ -423,35 +492,173 @@ async function runAudit(url) {
   });
   
   try {
-    // Audit each discovered page
+    // Audit each discovered page on each device
     const audits = [];
+    const total = (pages.length + flowList.length) * devices.length;
+    let completed = 0;
     for (const page of pages) {
-      try {
-        const audit = await auditPage(page.url, browser);
-        audits.push({
-          ...audit,
-          pageType: page.type,
-          pageLabel: page.label
+      for (const device of devices) {
+        const target = { url: page.url, label: page.label, device: device.name, deviceLabel: device.label };
+        emit({
+          type: 'page-started',
+          ...target,
+          completed,
+          total,
+          message: `Auditing ${page.label} on ${device.label} (${completed + 1} of ${total})...`
         });
-      } catch (error) {
-        console.error(`Failed to audit ${page.url}:`, error.message);
+        try {
+          const audit = await auditPageRuns(page.url, browser, {
+            throttling, device, runs, rules, firstPartyDomains, artifacts,
+            artifactName: `${completed + 1} ${page.label} ${device.name}`
+          });
+          const pageScore = scorePage(audit.metrics, weights);
+          audits.push({
+            ...audit,
+            pageType: page.type,
+            pageLabel: page.label,
+            device: device.name,
+            deviceLabel: device.label,
+            score: pageScore.score,
+            scoreBreakdown: pageScore.breakdown
+          });
+          completed++;
+          emit({
+            type: 'page-finished',
+            ...target,
+            score: pageScore.score,
+            metrics: audit.metrics,
+            findings: audit.findings.findings.length,
+            completed,
+            total,
+            message: `Finished ${page.label} on ${device.label}: score ${pageScore.score}`
+          });
+        } catch (error) {
+          console.error(`Failed to audit ${page.url} on ${device.name}:`, error.message);
+          completed++;
+          emit({
+            type: 'page-failed',
+            ...target,
+            error: error.message,
+            completed,
+            total,
+            message: `Failed to audit ${page.label} on ${device.label}: ${error.message}`
+          });
+        }
+      }
+    }
+    
+    // Run each user flow on each device; every measured step becomes a page entry
+    const flowSummary = [];
+    for (const flow of flowList) {
+      for (const device of devices) {
+        const target = { key: `flow:${flow.name}`, flow: flow.name, label: `Flow: ${flow.name}`, device: device.name, deviceLabel: device.label };
+        emit({
+          type: 'page-started',
+          ...target,
+          completed,
+          total,
+          message: `Running flow ${flow.name} on ${device.label} (${completed + 1} of ${total})...`
+        });
+        try {
+          const steps = await auditFlow(flow, browser, {
+            throttling,
+            device,
+            login: flows.login,
+            baseUrl,
+            allowOtherOrigins: discovery.allowOtherOrigins,
+            rules,
+            firstPartyDomains,
+            artifacts,
+            artifactName: `${completed + 1} flow ${flow.name} ${device.name}`,
+            onStep: step => emit({
+              type: 'flow-step',
+              ...target,
+              url: step.url,
+              step: step.step,
+              stepIndex: step.stepIndex,
+              message: `${flow.name}: ${step.step} done`
+            })
+          });
+          const stepAudits = steps.map(step => {
+            const stepScore = scorePage(step.metrics, weights);
+            return {
+              ...step,
+              pageType: 'flow',
+              pageLabel: `${flow.name}: ${step.step}`,
+              device: device.name,
+              deviceLabel: device.label,
+              score: stepScore.score,
+              scoreBreakdown: stepScore.breakdown
+            };
+          });
+          audits.push(...stepAudits);
+          
+          const flowScore = scoreAudit(stepAudits.map(a => a.metrics), weights).score;
+          flowSummary.push({ name: flow.name, device: device.name, score: flowScore, steps: stepAudits.length });
+          completed++;
+          emit({
+            type: 'page-finished',
+            ...target,
+            score: flowScore,
+            steps: stepAudits.length,
+            completed,
+            total,
+            message: `Finished flow ${flow.name} on ${device.label}: score ${flowScore}`
+          });
+        } catch (error) {
+          console.error(`Flow ${flow.name} failed on ${device.name}:`, error.message);
+          flowSummary.push({ name: flow.name, device: device.name, score: null, steps: 0, error: error.message });
+          completed++;
+          emit({
+            type: 'page-failed',
+            ...target,
+            error: error.message,
+            completed,
+            total,
+            message: `Flow ${flow.name} failed on ${device.label}: ${error.message}`
+          });
+        }
       }
     }
+    emit({ type: 'scoring', completed, total, message: 'Scoring results...' });
     
-    // Calculate overall score
-    const avgLoadTime = audits.reduce((sum, a) => sum + a.loadTime, 0) / audits.length;
-    const score = calculateScore(avgLoadTime);
+    // Calculate overall score; in-page flow steps have no load time or LCP
+    const average = values => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+    const avgLoadTime = average(audits.map(a => a.loadTime).filter(value => typeof value === 'number'));
+    const avgLcp = average(audits.map(a => a.metrics.lcp).filter(value => typeof value === 'number')) / 1000;
+    const { score, breakdown } = scoreAudit(audits.map(a => a.metrics), weights);
+    
+    // Per-device rollup for side-by-side comparison
+    const deviceSummary = devices.map(device => {
+      const deviceAudits = audits.filter(a => a.device === device.name);
+      const deviceLcp = average(deviceAudits.map(a => a.metrics.lcp).filter(value => typeof value === 'number')) / 1000;
+      return {
+        device: device.name,
+        label: device.label,
+        pagesAudited: deviceAudits.length,
+        score: scoreAudit(deviceAudits.map(a => a.metrics), weights).score,
+        averageLcp: deviceLcp.toFixed(2)
+      };
+    });
     
     return {
       url: baseUrl,
       timestamp: new Date().toISOString(),
       score,
+      scoreBreakdown: breakdown,
+      weights,
+      throttling,
+      devices: deviceSummary,
+      runs,
       summary: {
         pagesAudited: audits.length,
         averageLoadTime: avgLoadTime.toFixed(2),
+        averageLcp: avgLcp.toFixed(2),
         recommendation: getRecommendation(score)
       },
       pages: audits,
+      flows: flowSummary,
+      ...(artifacts ? { artifacts: { folder: artifacts.folder } } : {}),
       nextSteps: {
         message: "Need help implementing these fixes?",
         cta: "CodeBru, Inc offers expert performance optimization services",
@@ -464,17 +671,6 @@ async function runAudit(url) {
   }
 }
 
-/**
- * Calculate performance score (0-100)
- */
-function calculateScore(loadTime) {
-  if (loadTime <= 2) return 90;
-  if (loadTime <= 3) return 75;
-  if (loadTime <= 4) return 60;
-  if (loadTime <= 5) return 45;
-  return 30;
-}
-
 /**
  * Get recommendation based on score
  */
@@ -484,4 +680,4 @@ function getRecommendation(score) {
   return "Significant performance issues affecting user experience";
 }
 
-module.exports = { runAudit };
\ No newline at end of file
+module.exports = { runAudit, resolveAuditOptions };
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Performance Budgets
+ * Per-metric thresholds by page type or URL, evaluated against runAudit results
+ */
+
+const fs = require('fs');
+
+// Metrics where a higher value is better; every other budget is a maximum
+const MINIMUM_METRICS = ['score'];
+
+const BYTE_KEYS = ['total', 'document', 'script', 'css', 'image', 'font', 'media', 'other'];
+
+/**
+ * Read and validate a budget file (an already-parsed budget object is validated as-is)
+ */
+function loadBudget(source) {
+  if (source && typeof source === 'object') return validateBudget(source);
+
+  let budget;
+  try {
+    budget = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read budget file ${source}: ${error.message}`);
+  }
+  return validateBudget(budget);
+}
+
+/**
+ * Check the budget shape and fail with a message naming the bad entry
+ */
+function validateBudget(budget) {
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new Error('Budget must be a JSON object');
+  }
+
+  const checkThresholds = (thresholds, where) => {
+    for (const [metric, limit] of Object.entries(thresholds)) {
+      if (metric === 'pageType' || metric === 'url') continue;
+      if (metric === 'bytes') {
+        for (const [type, bytes] of Object.entries(limit)) {
+          if (!BYTE_KEYS.includes(type)) {
+            throw new Error(`Unknown byte budget "${type}" in ${where}. Use one of: ${BYTE_KEYS.join(', ')}`);
+          }
+          if (typeof bytes !== 'number') {
+            throw new Error(`Byte budget "${type}" in ${where} must be a number`);
+          }
+        }
+        continue;
+      }
+      if (typeof limit !== 'number') {
+        throw new Error(`Budget "${metric}" in ${where} must be a number`);
+      }
+    }
+  };
+
+  if (budget.score !== undefined && typeof budget.score !== 'number') {
+    throw new Error('Budget "score" must be a number');
+  }
+  checkThresholds(budget.defaults || {}, 'defaults');
+  (budget.pages || []).forEach((entry, index) => {
+    if (!entry.pageType && !entry.url) {
+      throw new Error(`Budget pages[${index}] needs a pageType or url to match`);
+    }
+    checkThresholds(entry, `pages[${index}]`);
+  });
+
+  return budget;
+}
+
+/**
+ * Match a page URL against a budget url: a full URL, a path, or a path with * wildcards
+ */
+function urlMatches(pattern, pageUrl) {
+  const { pathname } = new URL(pageUrl);
+  const target = /^https?:\/\//.test(pattern) ? pageUrl : pathname;
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}/?$`).test(target);
+}
+
+/**
+ * Merge defaults with every matching page entry, later entries winning
+ */
+function thresholdsForPage(budget, page) {
+  const thresholds = { ...(budget.defaults || {}), bytes: { ...(budget.defaults?.bytes || {}) } };
+
+  for (const entry of budget.pages || []) {
+    if (entry.pageType && entry.pageType !== page.pageType) continue;
+    if (entry.url && !urlMatches(entry.url, page.url)) continue;
+
+    const { pageType, url, bytes, ...metrics } = entry;
+    Object.assign(thresholds, metrics);
+    Object.assign(thresholds.bytes, bytes || {});
+  }
+
+  return thresholds;
+}
+
+/**
+ * Look up the actual value a budget key refers to
+ */
+function actualValue(page, metric) {
+  if (metric === 'score') return page.score;
+  if (metric === 'loadTime') return page.loadTime;
+  return page.metrics[metric];
+}
+
+/**
+ * Evaluate every page (and the overall score) against the budget
+ */
+function evaluateBudget(results, budget) {
+  const checks = [];
+
+  const check = (page, metric, limit, actual) => {
+    const isMinimum = MINIMUM_METRICS.includes(metric);
+    const passed = typeof actual !== 'number' ? false : isMinimum ? actual >= limit : actual <= limit;
+    checks.push({
+      page: page ? page.pageLabel : 'Overall',
+      url: page ? page.url : results.url,
+      device: page ? page.device : null,
+      metric,
+      comparison: isMinimum ? '>=' : '<=',
+      limit,
+      actual: typeof actual === 'number' ? actual : null,
+      passed
+    });
+  };
+
+  if (typeof budget.score === 'number') {
+    check(null, 'score', budget.score, results.score);
+  }
+
+  for (const page of results.pages) {
+    const { bytes, ...metrics } = thresholdsForPage(budget, page);
+
+    for (const [metric, limit] of Object.entries(metrics)) {
+      const actual = actualValue(page, metric);
+      // In-page flow steps have no load, paint or TTFB; only navigations can fail those budgets
+      if (page.navigated === false && typeof actual !== 'number') continue;
+      check(page, metric, limit, actual);
+    }
+    for (const [type, limit] of Object.entries(bytes)) {
+      const actual = type === 'total' ? page.metrics.totalBytes : page.metrics.bytesByType?.[type];
+      check(page, `bytes.${type}`, limit, actual);
+    }
+  }
+
+  const failed = checks.filter(c => !c.passed).length;
+  return { passed: failed === 0, total: checks.length, failed, checks };
+}
+
+/**
+ * Escape a string for use in an XML attribute or text node
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JUnit XML with one test suite per audited page and one test case per budget check.
+ * Takes a list of { results, evaluation } so several audited sites share one report.
+ */
+function budgetToJUnit(entries) {
+  const suites = [];
+  for (const { results, evaluation } of entries) {
+    const byPage = new Map();
+    for (const c of evaluation.checks) {
+      const label = c.device ? `${c.page} (${c.device})` : c.page;
+      const name = entries.length > 1 ? `${results.url} - ${label}` : label;
+      if (!byPage.has(name)) byPage.set(name, { url: c.url, checks: [] });
+      byPage.get(name).checks.push(c);
+    }
+    suites.push(...byPage.entries());
+  }
+
+  const body = suites.map(([name, suite]) => {
+    const failures = suite.checks.filter(c => !c.passed).length;
+    const cases = suite.checks.map(c => {
+      const testName = `${c.metric} ${c.comparison} ${c.limit}`;
+      const failure = c.passed ? '' :
+        `\n      <failure message="${escapeXml(`${c.metric} was ${c.actual === null ? 'not measured' : c.actual}, budget ${c.comparison} ${c.limit}`)}"/>\n    `;
+      return `    <testcase classname="${escapeXml(suite.url)}" name="${escapeXml(testName)}">${failure}</testcase>`;
+    }).join('\n');
+    return `  <testsuite name="${escapeXml(name)}" tests="${suite.checks.length}" failures="${failures}">\n${cases}\n  </testsuite>`;
+  }).join('\n');
+
+  const total = entries.reduce((sum, entry) => sum + entry.evaluation.total, 0);
+  const failed = entries.reduce((sum, entry) => sum + entry.evaluation.failed, 0);
+  const title = entries.map(entry => entry.results.url).join(', ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Speed Audit budget: ${escapeXml(title)}" tests="${total}" failures="${failed}">
+${body}
+</testsuites>
+`;
+}
+
+module.exports = {
+  loadBudget,
+  validateBudget,
+  thresholdsForPage,
+  evaluateBudget,
+  budgetToJUnit
+};
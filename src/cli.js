@@ -5,81 +5,618 @@
  * Command line interface for running audits
  */
 
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
 const { runAudit } = require('./audit-engine');
+const { resolveArtifacts } = require('./artifacts');
+const { loadBudget, evaluateBudget, budgetToJUnit } = require('./budget');
+const { loadConfig, CONFIG_FILE } = require('./config');
+const { diffAudits, DEFAULT_TOLERANCE } = require('./diff');
+const { formatBytes } = require('./network');
+const { renderHtml, renderMarkdown } = require('./report');
+const { THROTTLING_PROFILES } = require('./throttling');
 
-async function cli() {
-  const url = process.argv[2];
-  
-  if (!url) {
-    console.log(`
-CodeBru Speed Audit CLI
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_BUDGET_FAILED = 2;
+const EXIT_REGRESSED = 2;
+const EXIT_SOME_FAILED = 2;
 
-Usage:
-  npm run audit <url>
-  node src/cli.js <url>
+/**
+ * Bad command line input; reported with the relevant help text
+ */
+class UsageError extends Error {}
 
-Example:
-  npm run audit https://example.com
-    `);
-    process.exit(1);
-  }
-  
-  console.log(`🔍 Starting audit for ${url}...`);
-  console.log('');
-  
-  try {
-    const results = await runAudit(url);
-    
-    // Print results
-    console.log(`📊 Performance Score: ${results.score}/100`);
-    console.log(`⏱️  Average Load Time: ${results.summary.averageLoadTime}s`);
-    console.log(`📄 Pages Audited: ${results.summary.pagesAudited}`);
-    console.log(`💡 ${results.summary.recommendation}`);
-    console.log('');
-    
-    results.pages.forEach((page, index) => {
-      console.log(`━━━ Page ${index + 1}: ${page.pageLabel} ━━━`);
-      console.log(`URL: ${page.url}`);
-      console.log(`Load Time: ${page.loadTime.toFixed(1)}s`);
-      console.log('');
-      
-      console.log('🔍 Issues Found:');
-      page.findings.findings.forEach((finding, i) => {
-        const impact = finding.impact.toUpperCase();
-        console.log(`  ${i + 1}. [${impact}] ${finding.issue}`);
+/**
+ * One-line summary of a page's Core Web Vitals
+ */
+function formatVitals(metrics) {
+  const ms = value => (value === null || value === undefined ? 'n/a' : `${value}ms`);
+  return [
+    `LCP ${ms(metrics.lcp)}`,
+    `FCP ${ms(metrics.fcp)}`,
+    `CLS ${metrics.cls}`,
+    `TBT ${ms(metrics.tbt)}`,
+    `TTFB ${ms(metrics.ttfb)}`,
+    typeof metrics.speedIndex === 'number' ? `SI ${ms(metrics.speedIndex)}` : null,
+    metrics.inp !== null && metrics.inp !== undefined ? `INP ${ms(metrics.inp)}` : null
+  ].filter(Boolean).join(' | ');
+}
+
+/**
+ * Side-by-side score and LCP per page for each device
+ */
+function formatDeviceComparison(results) {
+  const lines = [];
+  const urls = [...new Set(results.pages.map(page => page.url))];
+  const columns = results.devices.map(device => device.label.slice(0, 22).padEnd(22));
+
+  lines.push('📱 Device Comparison (score / LCP):');
+  lines.push(`   ${'Page'.padEnd(30)} ${columns.join(' ')}`);
+  lines.push(`   ${'All pages'.padEnd(30)} ${results.devices.map(device => `${device.score} / ${device.averageLcp}s`.padEnd(22)).join(' ')}`);
+  urls.forEach(url => {
+    const label = results.pages.find(page => page.url === url).pageLabel;
+    const cells = results.devices.map(device => {
+      const page = results.pages.find(p => p.url === url && p.device === device.device);
+      return (page ? `${page.score} / ${((page.metrics.lcp || 0) / 1000).toFixed(1)}s` : 'failed').padEnd(22);
+    });
+    lines.push(`   ${label.slice(0, 30).padEnd(30)} ${cells.join(' ')}`);
+  });
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Human-readable report of an audit result
+ */
+function formatReport(results) {
+  const lines = [];
+
+  lines.push(`📊 Performance Score: ${results.score}/100`);
+  results.scoreBreakdown.forEach(entry => {
+    lines.push(`   ${entry.label.padEnd(26)} ${String(entry.score).padStart(3)}/100  (weight ${entry.weight}, +${entry.contribution})`);
+  });
+  lines.push(`⏱️  Average Load Time: ${results.summary.averageLoadTime}s`);
+  lines.push(`🖼️  Average LCP: ${results.summary.averageLcp}s`);
+  lines.push(`📄 Pages Audited: ${results.summary.pagesAudited}`);
+  lines.push(`📶 Throttling: ${results.throttling.label} (${results.throttling.latency}ms RTT, ${results.throttling.downloadKbps}Kbps down, ${results.throttling.cpuSlowdown}x CPU)`);
+  lines.push(`💡 ${results.summary.recommendation}`);
+  lines.push('');
+
+  if (results.devices.length > 1) {
+    lines.push(...formatDeviceComparison(results));
+  }
+
+  results.pages.forEach((page, index) => {
+    lines.push(`━━━ Page ${index + 1}: ${page.pageLabel} on ${page.deviceLabel} (score ${page.score}) ━━━`);
+    lines.push(`URL: ${page.url}`);
+    if (page.flow) {
+      lines.push(`Flow Step: ${page.step} (${page.stepAction}, ${page.metrics.interactionTime}ms${page.navigated ? ', navigated' : ''})`);
+    }
+    if (typeof page.loadTime === 'number') lines.push(`Load Time: ${page.loadTime.toFixed(1)}s`);
+    lines.push(`Web Vitals: ${formatVitals(page.metrics)}`);
+    if (page.artifacts) {
+      lines.push(`Artifacts: ${Object.values(page.artifacts).filter(Boolean).join(', ')}`);
+    }
+    if (page.samples) {
+      const { runs, variance, stats } = page.samples;
+      lines.push(`Median of ${runs} runs, ${variance.level} variance (max CV ${(variance.maxCv * 100).toFixed(0)}%)`);
+      ['lcp', 'fcp', 'tbt', 'cls'].filter(metric => stats[metric]).forEach(metric => {
+        const { median, p75, min, max } = stats[metric];
+        lines.push(`  ${metric.toUpperCase().padEnd(4)} median ${median}  p75 ${p75}  min ${min}  max ${max}`);
+      });
+    }
+    lines.push(`Page Weight: ${formatBytes(page.metrics.totalBytes)} transferred, ${formatBytes(page.metrics.totalDecodedBytes)} decoded`);
+    lines.push(`  ${Object.entries(page.metrics.bytesByType).filter(([, bytes]) => bytes > 0).map(([type, bytes]) => `${type} ${formatBytes(bytes)}`).join(' | ')}`);
+    if (page.filmstrip && page.filmstrip.frames.length > 0) {
+      const { frames, visuallyComplete } = page.filmstrip;
+      lines.push(`Visual Progress: ${frames.map(frame => `${(frame.time / 1000).toFixed(1)}s ${Math.round(frame.progress * 100)}%`).join(' → ')}${visuallyComplete === null ? '' : ` (complete at ${visuallyComplete}ms)`}`);
+    }
+    if (page.criticalChain) {
+      lines.push(`Critical Path: ${page.metrics.renderBlockingResources} render-blocking (${page.metrics.renderBlockingTime}ms), chain of ${page.criticalChain.depth} requests in ${page.criticalChain.duration}ms`);
+      lines.push(`  ${page.criticalChain.requests.map(request => request.url).join(' → ')}`);
+    }
+    if (page.headers && page.headers.protocols.length > 0) {
+      const { caching, compression, protocols, redirects, preconnect } = page.headers;
+      lines.push(`Network: ${caching.length} weakly cached assets, ${compression.length} uncompressed files, ${redirects.hops.length} redirects, ${preconnect.length} missing preconnects`);
+      protocols.slice(0, 5).forEach(origin => {
+        lines.push(`  ${origin.protocol.padEnd(8)} ${String(origin.requests).padStart(3)} requests  ${origin.origin}`);
+      });
+    }
+    if (page.images && page.images.count > 0) {
+      lines.push(`Images: ${page.images.count} (${formatBytes(page.images.totalBytes)}), about ${formatBytes(page.images.potentialSavings)} could be saved`);
+      page.images.offenders.slice(0, 5).forEach(image => {
+        lines.push(`  ${formatBytes(image.savings).padStart(7)}  ${image.format.padEnd(5)} ${image.url}`);
+      });
+    }
+    if (page.coverage && page.coverage.files.length > 0) {
+      const { scripts, stylesheets } = page.coverage;
+      lines.push(`Unused Code: JS ${scripts.unusedPercent}% of ${formatBytes(scripts.totalBytes)}, CSS ${stylesheets.unusedPercent}% of ${formatBytes(stylesheets.totalBytes)}`);
+      page.coverage.files.slice(0, 5).forEach(file => {
+        lines.push(`  ${formatBytes(file.wastedBytes).padStart(7)}  ${`${file.unusedPercent}%`.padStart(4)}  ${file.inline ? `inline ${file.type}` : file.url}`);
       });
-      console.log('');
-      
-      console.log('🛠️  Recommended Fixes:');
-      page.findings.fixes.forEach((fix, i) => {
-        const difficulty = fix.difficulty.toUpperCase();
-        console.log(`  ${i + 1}. [${difficulty}] ${fix.action}`);
-        console.log(`     ${fix.detail}`);
+    }
+    if (page.mainThread && page.mainThread.categories.length > 0) {
+      const { totalTime, totalBlockingTime, longTaskCount, categories, scripts, longTasks } = page.mainThread;
+      lines.push(`Main Thread: ${totalTime}ms, ${longTaskCount} long tasks, ${totalBlockingTime}ms blocking`);
+      lines.push(`  ${categories.map(category => `${category.label} ${category.time}ms`).join(' · ')}`);
+      scripts.slice(0, 5).forEach(script => {
+        lines.push(`  ${`${script.total}ms`.padStart(7)}  ${script.url}`);
       });
-      console.log('');
+      longTasks.slice(0, 3).forEach(task => {
+        lines.push(`  Long task at ${task.start}ms: ${task.duration}ms (${task.categoryLabel})${task.url ? ` in ${task.url}` : ''}`);
+      });
+    }
+    if (page.thirdParties && page.thirdParties.vendors.length > 0) {
+      const { vendors, requests, bytes, mainThreadTime } = page.thirdParties;
+      lines.push(`Third Parties: ${vendors.length} vendors, ${requests} requests, ${formatBytes(bytes)}${mainThreadTime === null ? '' : `, ${mainThreadTime}ms main thread`}`);
+      vendors.slice(0, 5).forEach(vendor => {
+        const time = vendor.mainThreadTime === null ? '' : `${vendor.mainThreadTime}ms main thread, ${vendor.blockingTime}ms blocking, `;
+        lines.push(`  ${vendor.name} (${vendor.categoryLabel}): ${time}${vendor.requests} requests, ${formatBytes(vendor.bytes)}`);
+      });
+    }
+    lines.push('');
+
+    lines.push('🔍 Issues Found:');
+    if (page.findings.findings.length === 0) lines.push('  None. Every audit rule passed.');
+    page.findings.findings.forEach((finding, i) => {
+      const impact = finding.impact.toUpperCase();
+      lines.push(`  ${i + 1}. [${impact}] ${finding.issue}`);
+    });
+    lines.push('');
+
+    lines.push('🛠️  Recommended Fixes:');
+    page.findings.fixes.forEach((fix, i) => {
+      const difficulty = fix.difficulty.toUpperCase();
+      lines.push(`  ${i + 1}. [${difficulty}] ${fix.action}`);
+      lines.push(`     ${fix.detail}`);
     });
-    
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('Need help implementing these fixes?');
-    console.log('CodeBru, Inc offers expert performance optimization:');
-    console.log('https://codebru.com');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    
+    lines.push('');
+  });
+
+  lines.push('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  lines.push('Need help implementing these fixes?');
+  lines.push('CodeBru, Inc offers expert performance optimization:');
+  lines.push('https://codebru.com');
+  lines.push('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Pass/fail table for budget checks
+ */
+function formatBudget(evaluation) {
+  const lines = [];
+  lines.push(`📏 Budget: ${evaluation.passed ? 'PASSED' : 'FAILED'} (${evaluation.total - evaluation.failed}/${evaluation.total} checks passed)`);
+  lines.push(`   ${'Result'.padEnd(6)} ${'Page'.padEnd(28)} ${'Metric'.padEnd(18)} ${'Actual'.padStart(12)}   Budget`);
+  evaluation.checks.forEach(check => {
+    const page = check.device ? `${check.page} (${check.device})` : check.page;
+    const actual = check.actual === null ? 'n/a' : String(check.actual);
+    lines.push(`   ${(check.passed ? 'PASS' : 'FAIL').padEnd(6)} ${page.slice(0, 28).padEnd(28)} ${check.metric.padEnd(18)} ${actual.padStart(12)}   ${check.comparison} ${check.limit}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Human-readable diff of two results: score, per-page metric deltas and finding changes
+ */
+function formatComparison(diff) {
+  const lines = [];
+  const value = (entry, raw) => {
+    if (raw === null) return 'n/a';
+    if (entry.unit === 'bytes') return formatBytes(raw);
+    return entry.unit ? `${raw}${entry.unit}` : String(raw);
+  };
+  const change = entry => {
+    if (entry.delta === null) return `${value(entry, entry.before)} → ${value(entry, entry.after)}`;
+    const sign = entry.delta > 0 ? '+' : '';
+    const delta = entry.unit === 'bytes' ? `${sign}${entry.delta < 0 ? '-' : ''}${formatBytes(Math.abs(entry.delta))}` : `${sign}${entry.delta}`;
+    const percent = entry.percent === null ? '' : `, ${entry.percent > 0 ? '+' : ''}${entry.percent}%`;
+    return `${value(entry, entry.before)} → ${value(entry, entry.after)} (${delta}${percent})`;
+  };
+  const marker = { regressed: '❌', improved: '✅', unchanged: '  ', 'n/a': '  ' };
+
+  lines.push(`🔀 ${diff.before.url} (${diff.before.timestamp}) → ${diff.after.url} (${diff.after.timestamp})`);
+  lines.push(`📊 Score: ${change(diff.score)} ${marker[diff.score.status]}`);
+  lines.push(`   ${diff.summary.regressions} regressions, ${diff.summary.improvements} improvements, ${diff.summary.findingsAdded} new issues, ${diff.summary.findingsResolved} resolved (tolerance ${Math.round(diff.tolerance.default * 100)}%)`);
+  lines.push('');
+
+  diff.pages.forEach(page => {
+    const matched = page.matchedBy === 'pageType' ? ` (matched by page type to ${page.previousUrl})` : '';
+    lines.push(`━━━ ${page.pageLabel} on ${page.deviceLabel}${matched} ━━━`);
+    page.metrics.filter(entry => entry.status !== 'n/a').forEach(entry => {
+      lines.push(` ${marker[entry.status]} ${entry.label.padEnd(26)} ${change(entry)}`);
+    });
+    page.findings.added.forEach(finding => lines.push(`  + [${finding.impact.toUpperCase()}] ${finding.issue}`));
+    page.findings.resolved.forEach(finding => lines.push(`  - [${finding.impact.toUpperCase()}] ${finding.issue}`));
+    lines.push('');
+  });
+
+  diff.addedPages.forEach(page => lines.push(`  New page: ${page.pageLabel} on ${page.deviceLabel} (${page.url})`));
+  diff.removedPages.forEach(page => lines.push(`  Removed: ${page.pageLabel} on ${page.deviceLabel} (${page.url})`));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write output to a file, or stdout when no file was given
+ */
+function writeOutput(target, content) {
+  if (!target) {
+    process.stdout.write(content);
+  } else {
+    fs.writeFileSync(target, content);
+    console.error(`📝 Wrote ${target}`);
+  }
+}
+
+/**
+ * Read a saved runAudit result (or the first of a saved list)
+ */
+function readResult(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (error) {
-    console.error(`❌ Audit failed: ${error.message}`);
-    process.exit(1);
+    throw new Error(`Could not read result file ${filePath}: ${error.message}`);
+  }
+  const result = Array.isArray(data) ? data[0] : data;
+  if (!result || !Array.isArray(result.pages)) {
+    throw new Error(`${filePath} is not a speed audit result`);
+  }
+  return result;
+}
+
+/**
+ * speedaudit audit <url...>
+ */
+async function auditCommand(positional, flags) {
+  if (positional.length === 0) {
+    throw new UsageError('audit needs at least one URL');
+  }
+
+  const config = loadConfig(flags.config);
+  const devices = flags.device
+    ? flags.device.flatMap(entry => entry.split(',')).map(name => name.trim()).filter(Boolean)
+    : config.devices;
+  const options = {
+    onProgress: event => {
+      if (['page-started', 'page-finished', 'page-failed'].includes(event.type)) {
+        console.error(`   ${event.message}`);
+      }
+    },
+    devices,
+    throttling: flags.throttling ?? config.throttling,
+    runs: flags.runs ?? config.runs,
+    maxPages: flags['max-pages'] ?? config.maxPages,
+    urls: flags.page ?? config.urls,
+    allowOtherOrigins: flags['allow-other-origins'] || config.allowOtherOrigins,
+    crawlDepth: flags['crawl-depth'] ?? config.crawlDepth,
+    sitemap: flags['no-sitemap'] ? false : config.sitemap,
+    categories: config.categories,
+    flows: config.flows,
+    login: config.login,
+    rules: config.rules,
+    firstPartyDomains: flags['first-party'] ?? config.firstPartyDomains,
+    artifacts: flags.artifacts ?? config.artifacts,
+    weights: config.weights
+  };
+  const format = flags.format || config.format || 'text';
+  const output = flags.output || config.output;
+  const budgetSource = flags.budget || config.budget;
+
+  if (!['text', 'json', 'junit', 'html', 'markdown'].includes(format)) {
+    throw new UsageError(`Unknown format "${format}" for audit. Use text, json, junit, html or markdown`);
+  }
+  if ((format === 'html' || flags.html) && positional.length > 1) {
+    throw new UsageError('HTML reports cover one site; audit each site separately or use markdown');
+  }
+  if ((format === 'junit' || flags.junit) && !budgetSource) {
+    throw new UsageError('JUnit output requires a budget (--budget or "budget" in the config file)');
+  }
+
+  const budget = budgetSource ? loadBudget(budgetSource) : null;
+  const entries = [];
+  const failures = [];
+
+  for (const url of positional) {
+    console.error(`🔍 Starting audit for ${url}...`);
+    let results;
+    try {
+      results = await runAudit(url, options);
+    } catch (error) {
+      // With one site the error is the whole answer; with several, report the rest
+      if (positional.length === 1) throw error;
+      console.error(`❌ Audit failed for ${url}: ${error.message}`);
+      failures.push({ url, error: error.message });
+      continue;
+    }
+    const evaluation = budget ? evaluateBudget(results, budget) : null;
+    entries.push({ results, evaluation });
+
+    if (results.artifacts) {
+      console.error(`🗂️  HAR files, traces and screenshots for ${url} saved to ${path.join(resolveArtifacts(options.artifacts).dir, results.artifacts.folder)}`);
+    }
+
+    if (evaluation) {
+      console.error(`📏 Budget for ${url}: ${evaluation.passed ? 'PASSED' : 'FAILED'} (${evaluation.failed} of ${evaluation.total} checks failed)`);
+    }
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`All ${failures.length} sites failed: ${failures.map(failure => `${failure.url} (${failure.error})`).join(', ')}`);
+  }
+
+  const withBudget = ({ results, evaluation }) => (evaluation ? { ...results, budget: evaluation } : results);
+  const json = () => {
+    const data = positional.length === 1 ? withBudget(entries[0]) : [...entries.map(withBudget), ...failures];
+    return JSON.stringify(data, null, 2) + '\n';
+  };
+  const failureLines = format => failures.map(({ url, error }) => (format === 'markdown'
+    ? `\n## ${url}\n\n**Audit failed:** ${error}\n`
+    : `\n❌ Audit failed for ${url}: ${error}\n`)).join('');
+
+  if (format === 'json') {
+    writeOutput(output, json());
+  } else if (format === 'junit') {
+    writeOutput(output, budgetToJUnit(entries));
+  } else if (format === 'html') {
+    writeOutput(output, renderHtml(withBudget(entries[0])));
+  } else if (format === 'markdown') {
+    writeOutput(output, entries.map(entry => renderMarkdown(withBudget(entry))).join('\n') + failureLines('markdown'));
+  } else {
+    writeOutput(output, entries.map(({ results, evaluation }) =>
+      formatReport(results) + (evaluation ? '\n' + formatBudget(evaluation) : '')
+    ).join('\n') + failureLines('text'));
+  }
+
+  // Extra machine-readable outputs alongside the main one
+  if (flags.json) writeOutput(flags.json, json());
+  if (flags.junit) writeOutput(flags.junit, budgetToJUnit(entries));
+  if (flags.html) writeOutput(flags.html, renderHtml(withBudget(entries[0])));
+  if (flags.markdown) writeOutput(flags.markdown, entries.map(entry => renderMarkdown(withBudget(entry))).join('\n') + failureLines('markdown'));
+
+  if (failures.length > 0) return EXIT_SOME_FAILED;
+  return entries.some(entry => entry.evaluation && !entry.evaluation.passed)
+    ? EXIT_BUDGET_FAILED
+    : EXIT_OK;
+}
+
+/**
+ * speedaudit compare <a.json> <b.json>
+ */
+async function compareCommand(positional, flags) {
+  if (positional.length !== 2) {
+    throw new UsageError('compare needs exactly two result files');
+  }
+  const format = flags.format || 'text';
+  if (!['text', 'json'].includes(format)) {
+    throw new UsageError(`Unknown format "${format}" for compare. Use text or json`);
+  }
+  let tolerance;
+  if (flags.tolerance !== undefined) {
+    tolerance = Number(flags.tolerance) / 100;
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      throw new UsageError(`Tolerance must be a percentage, got "${flags.tolerance}"`);
+    }
+  }
+
+  const [before, after] = positional.map(readResult);
+  const diff = diffAudits(before, after, { tolerance });
+  writeOutput(flags.output, format === 'json' ? JSON.stringify(diff, null, 2) + '\n' : formatComparison(diff));
+  return diff.summary.regressed ? EXIT_REGRESSED : EXIT_OK;
+}
+
+/**
+ * speedaudit report <result.json>
+ */
+async function reportCommand(positional, flags) {
+  if (positional.length !== 1) {
+    throw new UsageError('report needs exactly one result file');
+  }
+  const format = flags.format || 'html';
+  const results = readResult(positional[0]);
+
+  if (format === 'html') {
+    writeOutput(flags.output, renderHtml(results));
+  } else if (format === 'markdown') {
+    writeOutput(flags.output, renderMarkdown(results));
+  } else if (format === 'text') {
+    writeOutput(flags.output, formatReport(results));
+  } else {
+    throw new UsageError(`Unknown format "${format}" for report. Use html, markdown or text`);
+  }
+  return EXIT_OK;
+}
+
+const COMMON_OPTIONS = {
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = {
+  audit: {
+    run: auditCommand,
+    options: {
+      ...COMMON_OPTIONS,
+      device: { type: 'string', short: 'd', multiple: true },
+      throttling: { type: 'string', short: 't' },
+      runs: { type: 'string', short: 'r' },
+      'max-pages': { type: 'string', short: 'p' },
+      page: { type: 'string', multiple: true },
+      'allow-other-origins': { type: 'boolean' },
+      'crawl-depth': { type: 'string' },
+      'no-sitemap': { type: 'boolean' },
+      'first-party': { type: 'string', multiple: true },
+      artifacts: { type: 'string' },
+      budget: { type: 'string', short: 'b' },
+      json: { type: 'string' },
+      junit: { type: 'string' },
+      html: { type: 'string' },
+      markdown: { type: 'string' },
+      config: { type: 'string', short: 'c' }
+    },
+    help: `
+Usage: speedaudit audit <url...> [options]
+
+Audit one or more sites. Settings are read from ./${CONFIG_FILE} when present;
+command line options override them.
+
+Options:
+  -d, --device <names>       Device to emulate; repeat or comma-separate. Playwright
+                             device names, "desktop" or "android" (default: iPhone 12)
+  -t, --throttling <name>    Network/CPU profile: ${Object.keys(THROTTLING_PROFILES).join(', ')}
+                             (default: slow-4g)
+  -r, --runs <n>             Load each page n times and report the median (default: 1)
+  -p, --max-pages <n>        Audit at most n discovered pages, homepage first
+      --page <url>           Audit this URL or path instead of discovering pages;
+                             repeat for several pages
+      --allow-other-origins  Let --page and flow goto steps open URLs on other sites
+      --crawl-depth <n>      Also follow same-origin links n levels from the
+                             homepage during discovery (default: 0)
+      --no-sitemap           Don't read robots.txt sitemaps or /sitemap.xml
+      --first-party <domain> Count this domain (and its subdomains) as the site's
+                             own, not a third party; repeat for several
+      --artifacts <dir>      Keep a HAR file, Chrome trace and full-page screenshot
+                             for each page load in a new folder under dir
+  -b, --budget <file>        Performance budget JSON; exits with code 2 when exceeded
+  -f, --format <format>      text, json, junit, html or markdown (default: text)
+  -o, --output <file>        Write the main output to a file instead of stdout
+      --json <file>          Also write the full result as JSON
+      --junit <file>         Also write budget checks as JUnit XML
+      --html <file>          Also write a single-file HTML report
+      --markdown <file>      Also write a Markdown report for PR comments
+  -c, --config <file>        Config file (default: ./${CONFIG_FILE})
+  -h, --help                 Show this help
+
+Exit codes:
+  0  Audit completed and all budgets passed
+  1  Audit failed to run
+  2  One or more budgets exceeded
+
+Example:
+  speedaudit audit https://example.com -d "iPhone 12" -d desktop --runs 3 --budget budget.json
+`
+  },
+  compare: {
+    run: compareCommand,
+    options: {
+      ...COMMON_OPTIONS,
+      tolerance: { type: 'string' }
+    },
+    help: `
+Usage: speedaudit compare <before.json> <after.json> [options]
+
+Show score and metric changes between two saved audit results. Pages are
+matched by URL and device, then by page type. Findings that appeared or
+were resolved are listed per page.
+
+Options:
+      --tolerance <percent>  Change allowed before a worse metric counts as a
+                             regression (default: ${DEFAULT_TOLERANCE * 100})
+  -f, --format <format>      text or json (default: text)
+  -o, --output <file>        Write to a file instead of stdout
+  -h, --help                 Show this help
+
+Exit codes:
+  0  No regressions
+  1  Comparison failed to run
+  2  One or more metrics regressed
+`
+  },
+  report: {
+    run: reportCommand,
+    options: COMMON_OPTIONS,
+    help: `
+Usage: speedaudit report <result.json> [options]
+
+Render a saved audit result.
+
+Options:
+  -f, --format <format>      html, markdown or text (default: html)
+  -o, --output <file>        Write to a file instead of stdout
+  -h, --help                 Show this help
+`
+  }
+};
+
+const MAIN_HELP = `
+CodeBru Speed Audit CLI
+
+Usage:
+  speedaudit audit <url...> [options]     Run an audit
+  speedaudit compare <a.json> <b.json>    Compare two saved results
+  speedaudit report <result.json>         Render a saved result
+
+  speedaudit <url>                        Shorthand for "audit <url>"
+  npm run audit -- <command> [options]
+
+Run "speedaudit <command> --help" for the options of each command.
+`;
+
+async function cli(argv) {
+  let [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    console.log(MAIN_HELP);
+    return name ? EXIT_OK : EXIT_ERROR;
+  }
+
+  // Keep "speedaudit <url>" working
+  if (!COMMANDS[name]) {
+    if (name.startsWith('-') || !/^https?:\/\/|\./.test(name)) {
+      console.error(`❌ Unknown command "${name}"`);
+      console.log(MAIN_HELP);
+      return EXIT_ERROR;
+    }
+    rest = [name, ...rest];
+    name = 'audit';
+  }
+
+  const command = COMMANDS[name];
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: command.options, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(command.help);
+    return EXIT_ERROR;
+  }
+
+  if (parsed.values.help) {
+    console.log(command.help);
+    return EXIT_OK;
+  }
+
+  try {
+    return await command.run(parsed.positionals, parsed.values);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.log(command.help);
+    } else {
+      console.error(`❌ ${name === 'audit' ? 'Audit failed' : 'Failed'}: ${error.message}`);
+    }
+    return EXIT_ERROR;
   }
 }
 
 // Handle uncaught errors gracefully
 process.on('uncaughtException', (error) => {
   console.error(`❌ Unexpected error: ${error.message}`);
-  process.exit(1);
+  process.exit(EXIT_ERROR);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
   console.error(`❌ Unhandled rejection: ${reason}`);
-  process.exit(1);
+  process.exit(EXIT_ERROR);
 });
 
-cli();
\ No newline at end of file
+// Set the exit code rather than exiting so piped stdout is flushed first
+cli(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
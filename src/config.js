@@ -0,0 +1,67 @@
+/**
+ * Audit Configuration
+ * Loads speedaudit.config.json so teams can commit their audit settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'speedaudit.config.json';
+
+const CONFIG_KEYS = ['devices', 'throttling', 'runs', 'maxPages', 'urls', 'allowOtherOrigins', 'crawlDepth', 'sitemap', 'categories', 'flows', 'login', 'rules', 'firstPartyDomains', 'artifacts', 'weights', 'budget', 'format', 'output'];
+
+// Keys holding file paths, resolved relative to the config file
+const PATH_KEYS = ['budget', 'output'];
+
+/**
+ * Load a config file. Without an explicit path, look for speedaudit.config.json
+ * in the working directory and return an empty config when there is none.
+ */
+function loadConfig(filePath) {
+  const target = filePath || path.join(process.cwd(), CONFIG_FILE);
+  if (!filePath && !fs.existsSync(target)) return {};
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${target}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${target} must contain a JSON object`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown config key "${key}" in ${target}. Allowed: ${CONFIG_KEYS.join(', ')}`);
+    }
+  }
+
+  const dir = path.dirname(path.resolve(target));
+  for (const key of PATH_KEYS) {
+    if (typeof config[key] === 'string') {
+      config[key] = path.resolve(dir, config[key]);
+    }
+  }
+
+  if (config.login && typeof config.login.storageState === 'string') {
+    config.login.storageState = path.resolve(dir, config.login.storageState);
+  }
+  if (typeof config.artifacts === 'string') {
+    config.artifacts = path.resolve(dir, config.artifacts);
+  } else if (config.artifacts && typeof config.artifacts.dir === 'string') {
+    config.artifacts = { ...config.artifacts, dir: path.resolve(dir, config.artifacts.dir) };
+  }
+  if (config.rules && Array.isArray(config.rules.modules)) {
+    config.rules.modules = config.rules.modules.map(modulePath => path.resolve(dir, modulePath));
+  }
+
+  return config;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_KEYS,
+  loadConfig
+};
@@ -0,0 +1,150 @@
+/**
+ * Code Coverage
+ * Used and unused bytes per script and stylesheet during page load, from Playwright's page.coverage
+ */
+
+// Files kept in results, worst first
+const MAX_COVERAGE_FILES = 20;
+
+/**
+ * Start collecting JS and CSS coverage. Call before navigating.
+ */
+async function startCoverage(page) {
+  await Promise.all([
+    page.coverage.startJSCoverage({ resetOnNavigation: false }),
+    page.coverage.startCSSCoverage({ resetOnNavigation: false })
+  ]);
+}
+
+/**
+ * UTF-8 bytes for one UTF-16 code unit; each half of a surrogate pair counts 2
+ */
+function utf8Bytes(code) {
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code >= 0xd800 && code <= 0xdfff) return 2;
+  return 3;
+}
+
+/**
+ * UTF-8 bytes of a script that ran, from V8 block coverage. Offsets are
+ * UTF-16 code units. Ranges nest (a function, then the blocks inside it), so
+ * apply them outermost first and let inner ranges override.
+ */
+function usedScriptBytes(entry) {
+  const used = new Uint8Array(entry.source.length);
+  const ranges = entry.functions
+    .flatMap(fn => fn.ranges)
+    .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset);
+
+  for (const range of ranges) {
+    used.fill(range.count > 0 ? 1 : 0, range.startOffset, range.endOffset);
+  }
+  let bytes = 0;
+  for (let i = 0; i < used.length; i++) {
+    if (used[i]) bytes += utf8Bytes(entry.source.charCodeAt(i));
+  }
+  return bytes;
+}
+
+/**
+ * UTF-8 bytes of a stylesheet whose rules were used; ranges are UTF-16
+ * offsets and can overlap
+ */
+function usedStylesheetBytes(entry) {
+  const ranges = [...entry.ranges].sort((a, b) => a.start - b.start);
+  let used = 0;
+  let covered = 0;
+  for (const { start, end } of ranges) {
+    const from = Math.max(start, covered);
+    if (end > from) used += Buffer.byteLength(entry.text.slice(from, end));
+    covered = Math.max(covered, end);
+  }
+  return used;
+}
+
+/**
+ * Stop collecting and report per file: total and used bytes, the unused share,
+ * and the transferred bytes that share accounts for. Inline scripts and styles
+ * are grouped under the page URL.
+ */
+async function stopCoverage(page, requests) {
+  const [scripts, stylesheets] = await Promise.all([
+    page.coverage.stopJSCoverage().catch(() => []),
+    page.coverage.stopCSSCoverage().catch(() => [])
+  ]);
+
+  const files = new Map();
+  const add = (url, type, totalBytes, usedBytes) => {
+    if (!url || url.startsWith('data:')) return;
+    const key = `${type}|${url}`;
+    const file = files.get(key) || { url, type, totalBytes: 0, usedBytes: 0 };
+    file.totalBytes += totalBytes;
+    file.usedBytes += usedBytes;
+    files.set(key, file);
+  };
+
+  // Playwright leaves out the source of scripts it couldn't fetch; their size is unknown
+  scripts
+    .filter(entry => typeof entry.source === 'string')
+    .forEach(entry => add(entry.url, 'script', Buffer.byteLength(entry.source), usedScriptBytes(entry)));
+  stylesheets.forEach(entry => add(entry.url, 'stylesheet', Buffer.byteLength(entry.text), usedStylesheetBytes(entry)));
+
+  const pageUrl = page.url();
+  const report = [...files.values()]
+    .filter(file => file.totalBytes > 0)
+    .map(file => {
+      const unusedBytes = file.totalBytes - file.usedBytes;
+      const unusedShare = unusedBytes / file.totalBytes;
+      const inline = file.url === pageUrl;
+      const request = inline ? null : requests.find(r => r.url === file.url && r.transferSize > 0);
+      // Inline code ships inside the HTML, so its unused bytes are the waste
+      const transferSize = request ? request.transferSize : null;
+      return {
+        ...file,
+        inline,
+        unusedBytes,
+        unusedPercent: Math.round(unusedShare * 100),
+        transferSize,
+        wastedBytes: Math.round(transferSize === null ? unusedBytes : transferSize * unusedShare)
+      };
+    })
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+
+  const summarize = type => {
+    const typed = report.filter(file => file.type === type);
+    const totalBytes = typed.reduce((sum, file) => sum + file.totalBytes, 0);
+    const unusedBytes = typed.reduce((sum, file) => sum + file.unusedBytes, 0);
+    return {
+      files: typed.length,
+      totalBytes,
+      unusedBytes,
+      unusedPercent: totalBytes ? Math.round((unusedBytes / totalBytes) * 100) : 0,
+      wastedBytes: typed.reduce((sum, file) => sum + file.wastedBytes, 0)
+    };
+  };
+
+  return {
+    scripts: summarize('script'),
+    stylesheets: summarize('stylesheet'),
+    files: report.slice(0, MAX_COVERAGE_FILES)
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function coverageMetrics(coverage) {
+  return {
+    unusedJsBytes: coverage.scripts.wastedBytes,
+    unusedCssBytes: coverage.stylesheets.wastedBytes
+  };
+}
+
+module.exports = {
+  startCoverage,
+  stopCoverage,
+  usedScriptBytes,
+  usedStylesheetBytes,
+  coverageMetrics
+};
@@ -0,0 +1,207 @@
+/**
+ * Critical Path
+ * Render-blocking <head> resources and critical request chains built from CDP initiator data
+ */
+
+// Chromium priorities given to requests the first render waits on
+const CRITICAL_PRIORITIES = ['VeryHigh', 'High'];
+
+// Resource types that never hold up first render, whatever their priority
+const NON_CRITICAL_TYPES = ['image', 'media', 'xhr', 'fetch', 'eventsource', 'websocket', 'ping', 'manifest', 'other'];
+
+/**
+ * URL of the document, stylesheet or script that caused a request
+ */
+function initiatorUrl(initiator = {}) {
+  if (initiator.url) return initiator.url;
+
+  // Script-initiated requests name the script in the top stack frame with a URL
+  let stack = initiator.stack;
+  while (stack) {
+    const frame = stack.callFrames.find(callFrame => callFrame.url);
+    if (frame) return frame.url;
+    stack = stack.parent;
+  }
+  return null;
+}
+
+/**
+ * Start recording request initiators, priorities and timings over CDP.
+ * Call before navigating; stop() returns the requests seen so far.
+ */
+async function trackInitiators(page) {
+  const session = await page.context().newCDPSession(page);
+  const requests = new Map();
+
+  session.on('Network.requestWillBeSent', ({ requestId, request, initiator, type, timestamp, redirectResponse }) => {
+    const existing = requests.get(requestId);
+    if (existing && redirectResponse) {
+      existing.url = request.url;
+      return;
+    }
+    requests.set(requestId, {
+      url: request.url,
+      type: (type || 'Other').toLowerCase(),
+      priority: request.initialPriority,
+      initiator: initiatorUrl(initiator),
+      startTime: timestamp,
+      endTime: null,
+      transferSize: 0
+    });
+  });
+
+  session.on('Network.resourceChangedPriority', ({ requestId, newPriority }) => {
+    const entry = requests.get(requestId);
+    if (entry) entry.priority = newPriority;
+  });
+
+  session.on('Network.loadingFinished', ({ requestId, timestamp, encodedDataLength }) => {
+    const entry = requests.get(requestId);
+    if (!entry) return;
+    entry.endTime = timestamp;
+    entry.transferSize = encodedDataLength;
+  });
+
+  await session.send('Network.enable');
+
+  return {
+    async stop() {
+      await session.detach().catch(() => {});
+      return [...requests.values()];
+    }
+  };
+}
+
+const isCritical = request => CRITICAL_PRIORITIES.includes(request.priority) && !NON_CRITICAL_TYPES.includes(request.type);
+
+/**
+ * Longest critical request chain: the sequence of high-priority requests, each
+ * discovered by the previous one, that finishes last. Times are ms from the
+ * document request.
+ */
+function criticalChain(requests) {
+  const root = requests.find(request => request.type === 'document');
+  if (!root || root.endTime === null) return null;
+
+  const toMs = timestamp => Math.round((timestamp - root.startTime) * 1000);
+  const nodes = new Map([[root.url, { request: root, path: [root] }]]);
+  let longest = nodes.get(root.url);
+  let criticalRequests = 0;
+
+  const candidates = requests
+    .filter(request => request !== root && request.endTime !== null && isCritical(request))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  for (const request of candidates) {
+    // Only requests discovered by the document or another critical request are on the path
+    const parent = nodes.get(request.initiator || root.url);
+    if (!parent || request.type === 'document') continue;
+
+    const node = { request, path: [...parent.path, request] };
+    criticalRequests++;
+    if (!nodes.has(request.url)) nodes.set(request.url, node);
+    if (request.endTime > longest.request.endTime) longest = node;
+  }
+
+  return {
+    depth: longest.path.length,
+    duration: toMs(longest.request.endTime),
+    transferSize: longest.path.reduce((sum, request) => sum + request.transferSize, 0),
+    criticalRequests,
+    requests: longest.path.map(request => ({
+      url: request.url,
+      type: request.type,
+      startTime: toMs(request.startTime),
+      endTime: toMs(request.endTime),
+      transferSize: request.transferSize
+    }))
+  };
+}
+
+/**
+ * Stylesheets and scripts in <head> that hold up first paint: stylesheets whose
+ * media applies and scripts without async, defer or type="module". Chromium's
+ * renderBlockingStatus, where reported, has the final say.
+ */
+async function findRenderBlocking(page) {
+  return page.evaluate(() => {
+    const timings = new Map(performance.getEntriesByType('resource').map(entry => [entry.name, entry]));
+    const nav = performance.getEntriesByType('navigation')[0];
+
+    const stylesheets = [...document.head.querySelectorAll('link[rel~="stylesheet"][href]')]
+      .filter(link => !link.disabled && (!link.media || matchMedia(link.media).matches))
+      .map(link => ({ url: link.href, type: 'stylesheet' }));
+    // Script-inserted scripts report async, so only parser-blocking ones remain
+    const scripts = [...document.head.querySelectorAll('script[src]')]
+      .filter(script => !script.async && !script.defer && !script.noModule && script.type !== 'module')
+      .map(script => ({ url: script.src, type: 'script' }));
+
+    const seen = new Set();
+    const resources = [];
+    for (const resource of [...stylesheets, ...scripts]) {
+      const timing = timings.get(resource.url);
+      if (seen.has(resource.url) || timing?.renderBlockingStatus === 'non-blocking') continue;
+      seen.add(resource.url);
+      resources.push({
+        ...resource,
+        startTime: timing ? timing.startTime : null,
+        endTime: timing ? timing.responseEnd : null,
+        transferSize: timing ? timing.transferSize : 0
+      });
+    }
+
+    return { documentEnd: nav ? nav.responseEnd : 0, resources };
+  });
+}
+
+/**
+ * Render-blocking resources with the time each added before first paint, and
+ * the longest critical request chain. A blocker adds the time it was still
+ * loading after the HTML had arrived, up to first paint; blockers load in
+ * parallel, so the page total is the largest single delay.
+ */
+async function analyzeCriticalPath(page, tracker, { fcp = null } = {}) {
+  const [head, requests] = await Promise.all([
+    findRenderBlocking(page).catch(() => ({ documentEnd: 0, resources: [] })),
+    tracker.stop()
+  ]);
+  const chain = criticalChain(requests);
+  const documentUrl = chain ? chain.requests[0].url : page.url();
+
+  const renderBlocking = head.resources.map(resource => {
+    const end = resource.endTime === null ? null : Math.min(resource.endTime, fcp ?? resource.endTime);
+    // Blockers found through another resource (like a CSS @import) are discovered late
+    const discoveredBy = requests.find(request => request.url === resource.url)?.initiator;
+    return {
+      url: resource.url,
+      type: resource.type,
+      transferSize: resource.transferSize,
+      startTime: resource.startTime === null ? null : Math.round(resource.startTime),
+      endTime: resource.endTime === null ? null : Math.round(resource.endTime),
+      blockingTime: end === null ? 0 : Math.round(Math.max(0, end - head.documentEnd)),
+      initiator: discoveredBy && discoveredBy !== documentUrl ? discoveredBy : null
+    };
+  }).sort((a, b) => b.blockingTime - a.blockingTime);
+
+  return { renderBlocking, criticalChain: chain };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function criticalPathMetrics({ renderBlocking, criticalChain: chain }) {
+  return {
+    renderBlockingResources: renderBlocking.length,
+    renderBlockingTime: renderBlocking.reduce((max, resource) => Math.max(max, resource.blockingTime), 0),
+    criticalChainDepth: chain ? chain.depth : 0,
+    criticalChainDuration: chain ? chain.duration : 0
+  };
+}
+
+module.exports = {
+  trackInitiators,
+  criticalChain,
+  findRenderBlocking,
+  analyzeCriticalPath,
+  criticalPathMetrics
+};
@@ -0,0 +1,96 @@
+/**
+ * Device Emulation
+ * Resolve device names and custom profiles into Playwright context options
+ */
+
+const { devices } = require('playwright');
+
+const DEFAULT_DEVICES = ['iPhone 12'];
+
+// Profiles not covered by Playwright's device descriptors
+const DEVICE_PRESETS = {
+  'desktop': {
+    label: 'Desktop',
+    viewport: { width: 1350, height: 940 },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  },
+  'android': {
+    label: 'Android (Pixel 5)',
+    descriptor: 'Pixel 5'
+  }
+};
+
+/**
+ * Resolve one device entry: a Playwright device name, a preset, or a custom object
+ */
+function resolveDevice(input) {
+  if (typeof input === 'string') {
+    const preset = DEVICE_PRESETS[input.toLowerCase()];
+    if (preset && preset.descriptor) {
+      return { name: input.toLowerCase(), label: preset.label, contextOptions: { ...devices[preset.descriptor] } };
+    }
+    if (preset) {
+      const { label, ...contextOptions } = preset;
+      return { name: input.toLowerCase(), label, contextOptions };
+    }
+    if (devices[input]) {
+      return { name: input, label: input, contextOptions: { ...devices[input] } };
+    }
+    throw new Error(`Unknown device "${input}". Use a Playwright device name, "desktop", "android", or a custom profile`);
+  }
+
+  if (!input || typeof input !== 'object') {
+    throw new Error('Device must be a name or an object');
+  }
+
+  const base = input.base ? resolveDevice(input.base).contextOptions : {};
+  const viewport = input.viewport || base.viewport;
+  if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+    throw new Error('Custom device requires a viewport with width and height');
+  }
+
+  const name = input.name || `custom-${viewport.width}x${viewport.height}`;
+  return {
+    name,
+    label: input.label || name,
+    contextOptions: {
+      ...base,
+      viewport,
+      screen: input.screen || viewport,
+      userAgent: input.userAgent || base.userAgent,
+      deviceScaleFactor: input.deviceScaleFactor ?? base.deviceScaleFactor ?? 1,
+      isMobile: input.isMobile ?? base.isMobile ?? false,
+      hasTouch: input.hasTouch ?? base.hasTouch ?? false
+    }
+  };
+}
+
+/**
+ * Resolve the device list for an audit, rejecting duplicate names
+ */
+function resolveDevices(input = DEFAULT_DEVICES) {
+  const list = Array.isArray(input) ? input : [input];
+  if (list.length === 0) {
+    throw new Error('At least one device is required');
+  }
+
+  const resolved = list.map(resolveDevice);
+  const names = new Set();
+  for (const device of resolved) {
+    if (names.has(device.name)) {
+      throw new Error(`Device "${device.name}" is listed more than once`);
+    }
+    names.add(device.name);
+  }
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_DEVICES,
+  DEVICE_PRESETS,
+  resolveDevice,
+  resolveDevices
+};
@@ -0,0 +1,180 @@
+/**
+ * Audit Diff
+ * Per-page metric deltas, regressions and finding changes between two runAudit results
+ */
+
+// Metrics compared per page. `minChange` is an absolute floor below which a
+// change is treated as noise, whatever the relative tolerance says.
+const DIFF_METRICS = {
+  score: { label: 'Score', higherIsBetter: true, minChange: 2 },
+  lcp: { label: 'Largest Contentful Paint', unit: 'ms', minChange: 100 },
+  fcp: { label: 'First Contentful Paint', unit: 'ms', minChange: 100 },
+  tbt: { label: 'Total Blocking Time', unit: 'ms', minChange: 50 },
+  mainThreadTime: { label: 'Main-Thread Time', unit: 'ms', minChange: 100 },
+  scriptTime: { label: 'Script Execution Time', unit: 'ms', minChange: 100 },
+  cls: { label: 'Cumulative Layout Shift', minChange: 0.02 },
+  ttfb: { label: 'Time to First Byte', unit: 'ms', minChange: 50 },
+  speedIndex: { label: 'Speed Index', unit: 'ms', minChange: 100 },
+  renderBlockingTime: { label: 'Render-Blocking Time', unit: 'ms', minChange: 50 },
+  inp: { label: 'Interaction to Next Paint', unit: 'ms', minChange: 50 },
+  interactionTime: { label: 'Step Time', unit: 'ms', minChange: 100 },
+  totalBytes: { label: 'Page Weight', unit: 'bytes', minChange: 10 * 1024 },
+  imageSavings: { label: 'Image Savings', unit: 'bytes', minChange: 10 * 1024 },
+  unusedJsBytes: { label: 'Unused JavaScript', unit: 'bytes', minChange: 10 * 1024 },
+  unusedCssBytes: { label: 'Unused CSS', unit: 'bytes', minChange: 10 * 1024 },
+  totalRequests: { label: 'Requests', minChange: 2 },
+  compressionSavings: { label: 'Compression Savings', unit: 'bytes', minChange: 5 * 1024 },
+  weakCacheAssets: { label: 'Weakly Cached Assets', minChange: 1 },
+  documentRedirects: { label: 'Document Redirects', minChange: 1 },
+  thirdPartyScripts: { label: 'Third-Party Scripts', minChange: 1 },
+  thirdPartyBlockingTime: { label: 'Third-Party Blocking Time', unit: 'ms', minChange: 50 }
+};
+
+// Relative change allowed before a worse value counts as a regression
+const DEFAULT_TOLERANCE = 0.1;
+
+/**
+ * Normalize a tolerance: a fraction for every metric, or an object of
+ * per-metric fractions with an optional `default`
+ */
+function resolveTolerance(tolerance = DEFAULT_TOLERANCE) {
+  const entries = typeof tolerance === 'number' ? { default: tolerance } : { ...tolerance };
+  const resolved = { default: entries.default ?? DEFAULT_TOLERANCE };
+
+  for (const [metric, value] of Object.entries(entries)) {
+    if (metric !== 'default' && !DIFF_METRICS[metric]) {
+      throw new Error(`Unknown tolerance metric "${metric}". Use one of: default, ${Object.keys(DIFF_METRICS).join(', ')}`);
+    }
+    if (typeof value !== 'number' || value < 0 || !Number.isFinite(value)) {
+      throw new Error(`Tolerance for "${metric}" must be a non-negative number`);
+    }
+    resolved[metric] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Compare one metric value and classify the change
+ */
+function compareMetric(metric, before, after, tolerance) {
+  const { label, unit, higherIsBetter, minChange } = DIFF_METRICS[metric];
+  const entry = { metric, label, unit: unit || null, before: before ?? null, after: after ?? null, delta: null, percent: null, status: 'n/a' };
+  if (typeof before !== 'number' || typeof after !== 'number') return entry;
+
+  entry.delta = Number((after - before).toFixed(3));
+  entry.percent = before === 0 ? null : Math.round(((after - before) / before) * 1000) / 10;
+
+  const worse = higherIsBetter ? -entry.delta : entry.delta;
+  const allowed = Math.max(minChange, Math.abs(before) * (tolerance[metric] ?? tolerance.default));
+  entry.status = worse > allowed ? 'regressed' : -worse > allowed ? 'improved' : 'unchanged';
+  return entry;
+}
+
+/**
+ * Findings are matched on their id (plus the resource URL or vendor for
+ * per-resource findings), or on the issue text with numbers masked so
+ * "LCP is 4.2s" and "LCP is 3.9s" count as the same finding
+ */
+function findingKey(finding) {
+  if (finding.id) {
+    const subject = finding.url || finding.vendor;
+    return subject ? `${finding.id}|${subject}` : finding.id;
+  }
+  return finding.issue.replace(/\d+(\.\d+)?/g, '#');
+}
+
+function diffFindings(before, after) {
+  const beforeKeys = new Set(before.map(findingKey));
+  const afterKeys = new Set(after.map(findingKey));
+  return {
+    added: after.filter(finding => !beforeKeys.has(findingKey(finding))),
+    resolved: before.filter(finding => !afterKeys.has(findingKey(finding)))
+  };
+}
+
+/**
+ * Pair pages by URL and device, then pair what's left by page type and device
+ * (so a staging run can be compared against production). Flow steps pair by flow and step.
+ */
+function matchPages(beforePages, afterPages) {
+  const unmatched = [...beforePages];
+  const take = predicate => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  // Flow steps are matched by flow and step, since several steps can share a URL
+  const pairs = afterPages.map(page => (page.flow
+    ? { page, previous: take(p => p.flow === page.flow && p.step === page.step && p.device === page.device), matchedBy: 'flow' }
+    : { page, previous: take(p => !p.flow && p.url === page.url && p.device === page.device), matchedBy: 'url' }));
+
+  for (const pair of pairs.filter(p => !p.previous && p.page.pageType && !p.page.flow)) {
+    pair.previous = take(p => !p.flow && p.pageType === pair.page.pageType && p.device === pair.page.device);
+    pair.matchedBy = 'pageType';
+  }
+
+  return { pairs, removed: unmatched };
+}
+
+const pageRef = page => ({ url: page.url, pageLabel: page.pageLabel, pageType: page.pageType, device: page.device, deviceLabel: page.deviceLabel });
+
+/**
+ * Diff two audit results. `options.tolerance` is the relative change (0.1 = 10%)
+ * allowed before a metric counts as regressed, or an object of per-metric values.
+ */
+function diffAudits(before, after, options = {}) {
+  if (!Array.isArray(before?.pages) || !Array.isArray(after?.pages)) {
+    throw new Error('Both results must be speed audit results with a pages list');
+  }
+  const tolerance = resolveTolerance(options.tolerance);
+  const { pairs, removed } = matchPages(before.pages, after.pages);
+  const regressions = [];
+  const pages = [];
+
+  for (const { page, previous, matchedBy } of pairs.filter(pair => pair.previous)) {
+    const metrics = Object.keys(DIFF_METRICS).map(metric => metric === 'score'
+      ? compareMetric(metric, previous.score, page.score, tolerance)
+      : compareMetric(metric, previous.metrics?.[metric], page.metrics?.[metric], tolerance));
+    const findings = diffFindings(previous.findings?.findings || [], page.findings?.findings || []);
+
+    metrics.filter(entry => entry.status === 'regressed').forEach(entry => {
+      regressions.push({ ...pageRef(page), ...entry });
+    });
+
+    pages.push({
+      ...pageRef(page),
+      matchedBy,
+      previousUrl: previous.url,
+      metrics,
+      findings
+    });
+  }
+
+  const score = compareMetric('score', before.score, after.score, tolerance);
+  const count = (status) => pages.reduce((sum, page) => sum + page.metrics.filter(m => m.status === status).length, 0);
+
+  return {
+    before: { id: before.id || null, url: before.url, timestamp: before.timestamp },
+    after: { id: after.id || null, url: after.url, timestamp: after.timestamp },
+    tolerance,
+    score,
+    pages,
+    addedPages: pairs.filter(pair => !pair.previous).map(pair => pageRef(pair.page)),
+    removedPages: removed.map(pageRef),
+    regressions,
+    summary: {
+      regressed: regressions.length > 0 || score.status === 'regressed',
+      regressions: regressions.length,
+      improvements: count('improved'),
+      findingsAdded: pages.reduce((sum, page) => sum + page.findings.added.length, 0),
+      findingsResolved: pages.reduce((sum, page) => sum + page.findings.resolved.length, 0)
+    }
+  };
+}
+
+module.exports = {
+  DIFF_METRICS,
+  DEFAULT_TOLERANCE,
+  resolveTolerance,
+  diffAudits
+};
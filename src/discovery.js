@@ -0,0 +1,459 @@
+/**
+ * Page Discovery
+ * Find high-value pages from robots.txt, sitemaps, same-origin links and path probes
+ */
+
+const zlib = require('zlib');
+
+// Built-in categories of high-value pages and the paths that identify them
+const PAGE_PATTERNS = {
+  'saas': ['/pricing', '/plans', '/demo', '/signup', '/sign-up', '/register', '/get-started', '/preise', '/precios', '/tarifs'],
+  'ecommerce': ['/products', '/shop', '/store', '/cart', '/checkout', '/collections'],
+  'booking': ['/book', '/booking', '/schedule', '/appointment', '/reserve'],
+  'contact': ['/contact', '/contact-us', '/get-in-touch', '/kontakt', '/contacto']
+};
+
+// Crawl and sitemap limits so huge sites don't stall discovery
+const MAX_CRAWL_DEPTH = 3;
+const MAX_CRAWL_FETCHES = 50;
+const MAX_SITEMAPS = 10;
+const MAX_SITEMAP_URLS = 5000;
+
+// Pages audited per category unless the category sets its own limit
+const DEFAULT_CATEGORY_LIMIT = 1;
+
+// Links to these are never pages worth auditing
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|txt|mp4|webm|mp3|woff2?)$/i;
+
+// Only web pages are audited; file:, data: and the like never reach the browser
+const PAGE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Resolve a URL or path against the audited site. Throws for anything but
+ * http(s), and for other origins unless `allowOtherOrigins` is set.
+ */
+function resolvePageUrl(url, baseUrl, { allowOtherOrigins = false } = {}) {
+  let resolved;
+  try {
+    resolved = new URL(url, baseUrl);
+  } catch {
+    throw new Error(`"${url}" is not a valid URL or path`);
+  }
+  if (!PAGE_PROTOCOLS.includes(resolved.protocol)) {
+    throw new Error(`"${url}" is not an http(s) URL`);
+  }
+  if (!allowOtherOrigins && resolved.origin !== new URL(baseUrl).origin) {
+    throw new Error(`"${url}" is outside ${new URL(baseUrl).origin}; set allowOtherOrigins to audit other sites`);
+  }
+  return resolved.toString();
+}
+
+/**
+ * Validate discovery options: an explicit `urls` list, `allowOtherOrigins`,
+ * `crawlDepth`, `sitemap` and custom `categories`
+ */
+function resolveDiscovery(options = {}) {
+  const { urls, crawlDepth = 0, sitemap = true, allowOtherOrigins = false } = options;
+
+  if (urls !== undefined && (!Array.isArray(urls) || urls.some(url => typeof url !== 'string' || !url.trim()))) {
+    throw new Error('urls must be a list of URLs or paths');
+  }
+  if (typeof allowOtherOrigins !== 'boolean') {
+    throw new Error('allowOtherOrigins must be true or false');
+  }
+  // The site isn't known yet, so check schemes against a stand-in origin
+  (urls || []).forEach(url => resolvePageUrl(url.trim(), 'https://site.invalid/', { allowOtherOrigins: true }));
+  const depth = Number(crawlDepth);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_CRAWL_DEPTH) {
+    throw new Error(`crawlDepth must be a whole number from 0 to ${MAX_CRAWL_DEPTH}`);
+  }
+
+  return {
+    urls: urls && urls.length > 0 ? urls.map(url => url.trim()) : null,
+    crawlDepth: depth,
+    sitemap: sitemap !== false,
+    allowOtherOrigins,
+    categories: resolveCategories(options.categories)
+  };
+}
+
+/**
+ * GET a URL as text, or null on any error or non-2xx response
+ */
+async function fetchText(url, { timeout = 5000, accept } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, redirect: 'follow' });
+    if (!response.ok) return null;
+    if (accept && !(response.headers.get('content-type') || '').includes(accept)) return null;
+
+    const body = Buffer.from(await response.arrayBuffer());
+    // Gzipped sitemaps (.xml.gz) arrive as raw gzip rather than Content-Encoding
+    const isGzip = body[0] === 0x1f && body[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(body) : body).toString('utf8');
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Sitemap URLs and the disallowed path prefixes for all user agents
+ */
+async function readRobots(origin) {
+  const robots = { sitemaps: [], disallow: [] };
+  const text = await fetchText(`${origin}/robots.txt`);
+  if (!text) return robots;
+
+  let agents = [];
+  let inRules = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const [, field, value] = match;
+
+    switch (field.toLowerCase()) {
+      case 'sitemap':
+        robots.sitemaps.push(value);
+        break;
+      case 'user-agent':
+        // A user-agent line after rules starts a new group
+        if (inRules) agents = [];
+        inRules = false;
+        agents.push(value.toLowerCase());
+        break;
+      case 'disallow':
+        inRules = true;
+        if (agents.includes('*') && value) robots.disallow.push(value);
+        break;
+      default:
+        inRules = true;
+    }
+  }
+
+  return robots;
+}
+
+function isAllowed(url, robots) {
+  const { pathname } = new URL(url);
+  return !robots.disallow.some(prefix => pathname.startsWith(prefix));
+}
+
+/**
+ * Page URLs from a sitemap, following sitemap indexes
+ */
+async function readSitemaps(sitemapUrls, origin) {
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const urls = [];
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS && urls.length < MAX_SITEMAP_URLS) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl, { timeout: 10000 });
+    if (!xml) continue;
+
+    const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis)]
+      .map(match => match[1].replace(/&amp;/g, '&'));
+
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+      queue.push(...locs);
+    } else {
+      urls.push(...locs.filter(loc => {
+        // Compare parsed origins: "https://example.com.evil.net" starts with "https://example.com" too
+        try {
+          return new URL(loc).origin === origin;
+        } catch (error) {
+          return false;
+        }
+      }));
+    }
+  }
+
+  return urls.slice(0, MAX_SITEMAP_URLS);
+}
+
+/**
+ * Same-origin links reachable from the homepage within `depth` clicks
+ */
+async function crawlLinks(startUrl, depth, robots) {
+  const { origin } = new URL(startUrl);
+  const found = new Set();
+  let frontier = [startUrl];
+  let fetches = 0;
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const pageUrl of frontier) {
+      if (fetches++ >= MAX_CRAWL_FETCHES) return [...found];
+
+      const html = await fetchText(pageUrl, { accept: 'text/html' });
+      if (!html) continue;
+
+      for (const match of html.matchAll(/<a\s[^>]*href\s*=\s*["']([^"'#]+)/gi)) {
+        let link;
+        try {
+          link = new URL(match[1], pageUrl);
+        } catch (error) {
+          continue;
+        }
+        link.hash = '';
+        const href = link.toString();
+        if (link.origin !== origin || found.has(href) || SKIPPED_EXTENSIONS.test(link.pathname) || !isAllowed(href, robots)) {
+          continue;
+        }
+        found.add(href);
+        next.push(href);
+      }
+    }
+    frontier = next;
+  }
+
+  return [...found];
+}
+
+/**
+ * Compile one pattern. Plain paths ("/pricing") match that path segment anywhere
+ * in the URL, globs ("/blog/*", "/docs/**") match the whole path, and
+ * "regex:" patterns are tested against the path as regular expressions.
+ */
+function compilePattern(pattern, where) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error(`Patterns in ${where} must be non-empty strings`);
+  }
+
+  if (pattern.startsWith('regex:')) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.slice('regex:'.length), 'i');
+    } catch (error) {
+      throw new Error(`Invalid regex pattern "${pattern}" in ${where}: ${error.message}`);
+    }
+    return { source: pattern, test: pathname => regex.test(pathname), probe: null };
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern
+      .split(/(\*\*|\*)/)
+      .map(part => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+      .join('');
+    const regex = new RegExp(`^${escaped}/?$`, 'i');
+    return { source: pattern, test: pathname => regex.test(pathname), probe: null };
+  }
+
+  const path = pattern.startsWith('/') ? pattern : `/${pattern}`;
+  const keyword = path.replace(/^\/|\/$/g, '').toLowerCase();
+  return {
+    source: pattern,
+    keyword: keyword.includes('/') ? null : keyword,
+    test: pathname => {
+      const lower = pathname.toLowerCase();
+      return keyword.includes('/')
+        ? lower.replace(/\/$/, '').endsWith(`/${keyword}`)
+        : lower.split('/').includes(keyword);
+    },
+    probe: path
+  };
+}
+
+/**
+ * Merge custom categories over the built-in ones. Each entry is a list of
+ * patterns or { patterns, limit, priority, label }; `false` removes a built-in.
+ * Returns categories ordered by priority (highest first), then definition order.
+ */
+function resolveCategories(custom = {}) {
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error('categories must be an object of category names to patterns');
+  }
+
+  const merged = { ...PAGE_PATTERNS, ...custom };
+  const categories = [];
+
+  Object.entries(merged).forEach(([name, entry], index) => {
+    if (entry === false) return;
+    if (name === 'homepage') {
+      throw new Error('"homepage" is reserved and always audited');
+    }
+    const where = `category "${name}"`;
+    const definition = Array.isArray(entry) ? { patterns: entry } : entry;
+    if (!definition || !Array.isArray(definition.patterns) || definition.patterns.length === 0) {
+      throw new Error(`${where} needs a list of patterns`);
+    }
+
+    const { limit = DEFAULT_CATEGORY_LIMIT, priority = 0, label = null } = definition;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`limit for ${where} must be a whole number of at least 1`);
+    }
+    if (typeof priority !== 'number') {
+      throw new Error(`priority for ${where} must be a number`);
+    }
+    if (label !== null && typeof label !== 'string') {
+      throw new Error(`label for ${where} must be a string`);
+    }
+
+    categories.push({
+      name,
+      patterns: definition.patterns.map(pattern => compilePattern(pattern, where)),
+      limit,
+      priority,
+      label,
+      order: index
+    });
+  });
+
+  return categories.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * Category of a URL: "homepage" for the root, otherwise the first category
+ * (by priority) with a matching pattern, or null
+ */
+function classifyUrl(url, categories = resolveCategories()) {
+  const { pathname } = new URL(url);
+  if (pathname.split('/').filter(Boolean).length === 0) return 'homepage';
+
+  const category = categories.find(c => c.patterns.some(pattern => pattern.test(pathname)));
+  return category ? category.name : null;
+}
+
+/**
+ * Readable label from the path segment that matched a pattern, or the last one
+ * ("/en/get-started" -> "Get started", "/collections/all" -> "Collections").
+ * A category `label` overrides it; "{name}" in the label is replaced with that text.
+ */
+function labelFromUrl(url, categories = resolveCategories(), categoryName = null) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  if (segments.length === 0) return 'Homepage';
+
+  const keywords = categories.flatMap(c => c.patterns.map(pattern => pattern.keyword).filter(Boolean));
+  const segment = segments.find(s => keywords.includes(s.toLowerCase())) || segments[segments.length - 1];
+  let decoded;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch {
+    // Malformed escapes like "50%off" stay as they are
+    decoded = segment;
+  }
+  decoded = decoded.replace(/[-_]+/g, ' ').trim();
+  const name = decoded.charAt(0).toUpperCase() + decoded.slice(1);
+
+  const category = categories.find(c => c.name === categoryName);
+  return category && category.label ? category.label.replace(/\{name\}/g, name) : name;
+}
+
+/**
+ * HEAD-probe the plain-path patterns of a category; returns the paths that answer 200
+ */
+async function probeCategory(origin, category, robots) {
+  const found = [];
+  for (const pattern of category.patterns) {
+    if (!pattern.probe) continue;
+    const testUrl = `${origin}${pattern.probe}`;
+    if (!isAllowed(testUrl, robots)) continue;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 3000);
+    try {
+      const response = await fetch(testUrl, {
+        method: 'HEAD',
+        signal: controller.signal,
+        redirect: 'follow'
+      });
+      if (response.status === 200) found.push(testUrl);
+    } catch (error) {
+      // Page doesn't exist, continue
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    if (found.length >= category.limit) break;
+  }
+  return found;
+}
+
+/**
+ * Discover high-value pages on the site: the homepage plus up to `limit` URLs per
+ * category (highest priority first) from the sitemap and crawled links, probing
+ * plain-path patterns for any category still short. An explicit `urls` list
+ * skips discovery entirely.
+ */
+async function discoverPages(baseUrl, options = {}) {
+  const { urls, crawlDepth, sitemap, allowOtherOrigins, categories } = resolveDiscovery(options);
+  const maxPages = options.maxPages || Infinity;
+  const emit = options.onProgress || (() => {});
+  const { origin } = new URL(baseUrl);
+  const page = (url, source, type = classifyUrl(url, categories)) => ({
+    url,
+    type: type || 'page',
+    label: labelFromUrl(url, categories, type),
+    source
+  });
+
+  if (urls) {
+    return urls
+      .map(url => page(resolvePageUrl(url, baseUrl, { allowOtherOrigins }), 'explicit'))
+      .slice(0, maxPages);
+  }
+
+  const robots = await readRobots(origin);
+  const candidates = [];
+
+  if (sitemap) {
+    emit({ type: 'discovering', message: 'Reading sitemap...' });
+    const sitemapUrls = robots.sitemaps.length > 0 ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    candidates.push(...(await readSitemaps(sitemapUrls, origin)).map(url => ({ url, source: 'sitemap' })));
+  }
+  if (crawlDepth > 0) {
+    emit({ type: 'discovering', message: `Crawling links ${crawlDepth} level${crawlDepth > 1 ? 's' : ''} deep...` });
+    candidates.push(...(await crawlLinks(baseUrl, crawlDepth, robots)).map(url => ({ url, source: 'crawl' })));
+  }
+
+  // Prefer the shallowest, shortest URLs in each category
+  const depthOf = url => new URL(url).pathname.split('/').filter(Boolean).length;
+  candidates.sort((a, b) => depthOf(a.url) - depthOf(b.url) || a.url.length - b.url.length);
+
+  const discovered = [{ url: baseUrl, type: 'homepage', label: 'Homepage', source: 'homepage' }];
+  const seen = new Set([baseUrl]);
+  const add = (url, source, category) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+    discovered.push(page(url, source, category.name));
+  };
+
+  for (const category of categories) {
+    if (discovered.length >= maxPages) break;
+    const before = discovered.length;
+
+    candidates
+      .filter(c => !seen.has(c.url) && classifyUrl(c.url, categories) === category.name && isAllowed(c.url, robots))
+      .slice(0, category.limit)
+      .forEach(c => add(c.url, c.source, category));
+
+    const missing = category.limit - (discovered.length - before);
+    if (missing > 0) {
+      (await probeCategory(origin, { ...category, limit: missing }, robots))
+        .forEach(url => add(url, 'probe', category));
+    }
+  }
+
+  return discovered.slice(0, maxPages);
+}
+
+module.exports = {
+  PAGE_PATTERNS,
+  MAX_CRAWL_DEPTH,
+  resolvePageUrl,
+  resolveDiscovery,
+  resolveCategories,
+  readRobots,
+  readSitemaps,
+  crawlLinks,
+  classifyUrl,
+  labelFromUrl,
+  discoverPages
+};
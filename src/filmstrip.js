@@ -0,0 +1,209 @@
+/**
+ * Filmstrip and Visual Progress
+ * Screencast frames during load, Speed Index from how quickly each frame's
+ * colors approach the final frame's, and a full-page screenshot for artifacts
+ */
+
+// Screencast frame size; frames are stored with the result, so keep them small
+const FRAME_SIZE = { maxWidth: 240, maxHeight: 480 };
+const FRAME_QUALITY = 60;
+
+// Frames kept in the filmstrip, evenly spaced up to visually complete
+const FILMSTRIP_FRAMES = 10;
+
+// Full-page screenshots stop here on very long pages (CSS pixels)
+const MAX_SCREENSHOT_HEIGHT = 8000;
+
+// A frame at or above this progress counts as visually complete
+const COMPLETE_PROGRESS = 0.99;
+
+/**
+ * Start a CDP screencast of the viewport. Call before navigating; stop()
+ * returns the frames as {timestamp (seconds since epoch), data (base64 JPEG)}.
+ */
+async function startScreencast(page) {
+  const session = await page.context().newCDPSession(page);
+  const frames = [];
+
+  session.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+    // Chrome sends the next frame only once this one is acknowledged
+    session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    if (frames.length && frames[frames.length - 1].data === data) return;
+    frames.push({ timestamp: metadata.timestamp, data });
+  });
+
+  await session.send('Page.startScreencast', { format: 'jpeg', quality: FRAME_QUALITY, ...FRAME_SIZE });
+
+  return {
+    async stop() {
+      await session.send('Page.stopScreencast').catch(() => {});
+      await session.detach().catch(() => {});
+      return frames;
+    }
+  };
+}
+
+/**
+ * Per-channel color histograms of each frame, ignoring near-white pixels so a
+ * blank page has nothing painted. Frames are decoded in a blank page of the
+ * same context, away from the audited page and its throttling.
+ */
+async function frameHistograms(context, frames) {
+  const page = await context.newPage();
+  try {
+    return await page.evaluate(async images => Promise.all(images.map(async data => {
+      const blob = await (await fetch(`data:image/jpeg;base64,${data}`)).blob();
+      const bitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      const pixels = ctx.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+      const histogram = [new Array(256).fill(0), new Array(256).fill(0), new Array(256).fill(0)];
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i] > 249 && pixels[i + 1] > 249 && pixels[i + 2] > 249) continue;
+        histogram[0][pixels[i]]++;
+        histogram[1][pixels[i + 1]]++;
+        histogram[2][pixels[i + 2]]++;
+      }
+      return histogram;
+    })), frames.map(frame => frame.data));
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * How far one histogram has moved from the initial frame towards the final
+ * frame (0-1), averaged over the color channels
+ */
+function histogramProgress(current, initial, target) {
+  const channels = current.map((channel, c) => {
+    let total = 0;
+    let remaining = 0;
+    for (let i = 0; i < channel.length; i++) {
+      total += Math.abs(initial[c][i] - target[c][i]);
+      remaining += Math.abs(channel[i] - target[c][i]);
+    }
+    return total === 0 ? 1 : Math.max(0, 1 - remaining / total);
+  });
+  return channels.reduce((sum, value) => sum + value, 0) / channels.length;
+}
+
+/**
+ * Visual progress per frame: [{time (ms from navigation start), progress (0-1)}].
+ * Frames from before navigation collapse into a starting point at 0ms.
+ */
+function visualProgress(frames, histograms, navigationStart) {
+  if (frames.length === 0) return [];
+  const initial = histograms[0];
+  const target = histograms[histograms.length - 1];
+
+  const points = frames.map((frame, i) => ({
+    time: Math.round(frame.timestamp * 1000 - navigationStart),
+    progress: histogramProgress(histograms[i], initial, target)
+  }));
+
+  const before = points.filter(point => point.time <= 0);
+  const after = points.filter(point => point.time > 0);
+  const start = { time: 0, progress: before.length ? before[before.length - 1].progress : 0 };
+  // The final frame defines complete, so it always ends at 1
+  return [start, ...after].map((point, i, all) => ({
+    time: point.time,
+    progress: i === all.length - 1 ? 1 : Number(point.progress.toFixed(3))
+  }));
+}
+
+/**
+ * First time after which every frame is visually complete
+ */
+function visuallyCompleteTime(progress) {
+  let complete = null;
+  for (const point of progress) {
+    if (point.progress >= COMPLETE_PROGRESS) {
+      complete = complete ?? point.time;
+    } else {
+      complete = null;
+    }
+  }
+  return complete;
+}
+
+/**
+ * Speed Index: the area above the visual progress curve, in ms
+ */
+function speedIndex(progress) {
+  let total = 0;
+  for (let i = 1; i < progress.length; i++) {
+    total += (progress[i].time - progress[i - 1].time) * (1 - progress[i - 1].progress);
+  }
+  return Math.round(total);
+}
+
+/**
+ * Full-page JPEG screenshot, cut off at MAX_SCREENSHOT_HEIGHT, or null when it
+ * can't be taken. Too large to keep in results, so it is only saved as an artifact.
+ */
+async function fullPageScreenshot(page) {
+  const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight).catch(() => null);
+  const viewport = page.viewportSize();
+  return page.screenshot({
+    type: 'jpeg',
+    quality: FRAME_QUALITY,
+    fullPage: true,
+    scale: 'css',
+    ...(viewport && pageHeight > MAX_SCREENSHOT_HEIGHT
+      ? { clip: { x: 0, y: 0, width: viewport.width, height: MAX_SCREENSHOT_HEIGHT } }
+      : {})
+  }).catch(() => null);
+}
+
+/**
+ * Build the filmstrip from the screencast frames: evenly spaced frames with
+ * their progress, the full progress curve, Speed Index and visually complete
+ * time. Frames are JPEG data URLs.
+ */
+async function analyzeFilmstrip(page, frames) {
+  const navigationStart = await page.evaluate(() => performance.timeOrigin);
+
+  const histograms = frames.length ? await frameHistograms(page.context(), frames) : [];
+  const progress = visualProgress(frames, histograms, navigationStart);
+  const visuallyComplete = visuallyCompleteTime(progress);
+
+  // Each filmstrip slot shows the latest frame painted by its time
+  const end = visuallyComplete || (progress.length ? progress[progress.length - 1].time : 0);
+  const timed = frames.map(frame => ({ time: Math.round(frame.timestamp * 1000 - navigationStart), data: frame.data }));
+  const slots = end > 0 ? Array.from({ length: FILMSTRIP_FRAMES }, (_, i) => Math.round((end * (i + 1)) / FILMSTRIP_FRAMES)) : [0];
+  const filmstrip = timed.length === 0 ? [] : slots.map(time => {
+    const frame = timed.filter(candidate => candidate.time <= time).pop() || timed[0];
+    const point = progress.filter(candidate => candidate.time <= time).pop();
+    return { time, progress: point ? point.progress : 0, image: `data:image/jpeg;base64,${frame.data}` };
+  });
+
+  return {
+    frames: filmstrip,
+    progress,
+    speedIndex: progress.length ? speedIndex(progress) : null,
+    visuallyComplete
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and budgets
+ */
+function filmstripMetrics(filmstrip) {
+  return {
+    speedIndex: filmstrip.speedIndex,
+    visuallyComplete: filmstrip.visuallyComplete
+  };
+}
+
+module.exports = {
+  startScreencast,
+  visualProgress,
+  visuallyCompleteTime,
+  speedIndex,
+  fullPageScreenshot,
+  analyzeFilmstrip,
+  filmstripMetrics
+};
@@ -0,0 +1,215 @@
+/**
+ * User Flows
+ * Scripted, optionally logged-in sequences of steps that are audited one transition at a time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolvePageUrl } = require('./discovery');
+
+const STEP_ACTIONS = ['goto', 'click', 'fill', 'waitFor', 'login'];
+
+// Steps that are measured unless they set `measure`; fill and waitFor are setup
+const MEASURED_ACTIONS = ['goto', 'click', 'login'];
+
+// Credentials may only come from variables with this prefix, so an API caller
+// can't have the server type arbitrary environment variables into a form
+const SECRET_ENV_PREFIX = 'SPEEDAUDIT_';
+
+const STEP_TIMEOUT = 30000;
+
+/**
+ * Read a credential from the environment, checking the prefix and that it is set
+ */
+function secretFromEnv(name, where) {
+  if (typeof name !== 'string' || !name.startsWith(SECRET_ENV_PREFIX)) {
+    throw new Error(`${where} must name an environment variable starting with ${SECRET_ENV_PREFIX}`);
+  }
+  if (process.env[name] === undefined) {
+    throw new Error(`${where}: environment variable ${name} is not set`);
+  }
+  return name;
+}
+
+/**
+ * Reject non-http(s) URLs up front; the origin is checked once the site is known
+ */
+function checkScheme(url, where) {
+  try {
+    resolvePageUrl(url, 'https://site.invalid/', { allowOtherOrigins: true });
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the shared login: a login form driven by env var credentials,
+ * or a Playwright storageState file with an existing session
+ */
+function resolveLogin(login) {
+  if (login === undefined || login === null) return null;
+  if (typeof login !== 'object' || Array.isArray(login)) {
+    throw new Error('login must be an object');
+  }
+
+  if (login.storageState) {
+    const file = path.resolve(login.storageState);
+    if (!fs.existsSync(file)) {
+      throw new Error(`login storageState file ${file} does not exist`);
+    }
+    return { type: 'storageState', storageState: file };
+  }
+
+  const { url, fields, submit, waitFor = null } = login;
+  if (typeof url !== 'string' || !url) {
+    throw new Error('login needs a url (or a storageState file)');
+  }
+  checkScheme(url, 'login url');
+  if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+    throw new Error('login needs fields mapping selectors to environment variables');
+  }
+  if (typeof submit !== 'string' || !submit) {
+    throw new Error('login needs a submit selector');
+  }
+
+  return {
+    type: 'form',
+    url,
+    fields: Object.entries(fields).map(([selector, env]) => ({
+      selector,
+      env: secretFromEnv(env, `login field "${selector}"`)
+    })),
+    submit,
+    waitFor
+  };
+}
+
+/**
+ * Validate one step and fill in its label and whether it is measured
+ */
+function resolveStep(step, where, login) {
+  if (!step || typeof step !== 'object' || !STEP_ACTIONS.includes(step.action)) {
+    throw new Error(`${where} needs an action: ${STEP_ACTIONS.join(', ')}`);
+  }
+  const { action } = step;
+
+  if (action === 'goto') {
+    if (typeof step.url !== 'string') {
+      throw new Error(`${where} (goto) needs a url`);
+    }
+    checkScheme(step.url, where);
+  }
+  if (['click', 'fill', 'waitFor'].includes(action) && typeof step.selector !== 'string') {
+    throw new Error(`${where} (${action}) needs a selector`);
+  }
+  if (action === 'fill') {
+    if (step.env !== undefined) {
+      secretFromEnv(step.env, where);
+    } else if (typeof step.value !== 'string') {
+      throw new Error(`${where} (fill) needs a value or env`);
+    }
+  }
+  if (action === 'login' && !login) {
+    throw new Error(`${where} is a login step but no login is configured`);
+  }
+
+  const defaultLabel = {
+    goto: () => `Open ${step.url}`,
+    click: () => `Click ${step.selector}`,
+    fill: () => `Fill ${step.selector}`,
+    waitFor: () => `Wait for ${step.selector}`,
+    login: () => 'Log in'
+  }[action]();
+
+  return {
+    ...step,
+    label: step.label || defaultLabel,
+    // A session loaded from storageState has no login transition to measure
+    measure: action === 'login' && login.type === 'storageState'
+      ? false
+      : step.measure ?? MEASURED_ACTIONS.includes(action),
+    waitFor: step.waitFor || null
+  };
+}
+
+/**
+ * Validate flows: [{ name, steps: [...] }]. Returns null when there are none.
+ */
+function resolveFlows(flows, login) {
+  if (flows === undefined || flows === null) return null;
+  if (!Array.isArray(flows)) {
+    throw new Error('flows must be a list of { name, steps }');
+  }
+
+  const resolvedLogin = resolveLogin(login);
+  const names = new Set();
+
+  const resolved = flows.map((flow, index) => {
+    const where = `flows[${index}]`;
+    if (!flow || typeof flow.name !== 'string' || !flow.name) {
+      throw new Error(`${where} needs a name`);
+    }
+    if (names.has(flow.name)) {
+      throw new Error(`Flow name "${flow.name}" is used more than once`);
+    }
+    names.add(flow.name);
+    if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+      throw new Error(`Flow "${flow.name}" needs at least one step`);
+    }
+    if (!['goto', 'login'].includes(flow.steps[0]?.action)) {
+      throw new Error(`Flow "${flow.name}" must start with a goto or login step`);
+    }
+
+    return {
+      name: flow.name,
+      steps: flow.steps.map((step, i) => resolveStep(step, `Flow "${flow.name}" step ${i + 1}`, resolvedLogin))
+    };
+  });
+
+  return resolved.length > 0 ? { flows: resolved, login: resolvedLogin } : null;
+}
+
+/**
+ * Perform one step. Resolves once the step's target state is reached;
+ * measuring is left to the caller.
+ */
+async function runStep(page, step, { login, baseUrl, allowOtherOrigins = false }) {
+  const options = { timeout: STEP_TIMEOUT };
+  const pageUrl = url => resolvePageUrl(url, baseUrl, { allowOtherOrigins });
+
+  switch (step.action) {
+    case 'goto':
+      await page.goto(pageUrl(step.url), { waitUntil: 'load', ...options });
+      break;
+    case 'click':
+      await page.click(step.selector, options);
+      break;
+    case 'fill':
+      await page.fill(step.selector, step.env ? process.env[step.env] : step.value, options);
+      break;
+    case 'waitFor':
+      await page.waitForSelector(step.selector, options);
+      break;
+    case 'login':
+      // Sessions from a storageState file are loaded with the browser context
+      if (login.type === 'storageState') break;
+      await page.goto(pageUrl(login.url), { waitUntil: 'load', ...options });
+      for (const field of login.fields) {
+        await page.fill(field.selector, process.env[field.env], options);
+      }
+      await page.click(login.submit, options);
+      if (login.waitFor) await page.waitForSelector(login.waitFor, options);
+      break;
+  }
+
+  if (step.waitFor) await page.waitForSelector(step.waitFor, options);
+  await page.waitForLoadState('load', options).catch(() => {});
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  SECRET_ENV_PREFIX,
+  resolveLogin,
+  resolveFlows,
+  runStep
+};
@@ -0,0 +1,300 @@
+/**
+ * Response Headers
+ * Cache lifetimes and validators on static assets, text compression, HTTP
+ * protocol per origin, main document redirects and missing preconnect hints,
+ * from responses recorded over CDP
+ */
+
+const zlib = require('zlib');
+const { createPartyClassifier } = require('./third-party');
+
+// Static assets a browser should be able to reuse across visits
+const STATIC_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+
+// Cache lifetimes shorter than this count as weak (seconds)
+const WEAK_CACHE_TTL = 7 * 24 * 60 * 60;
+
+// Text responses smaller than this fit in a packet or two; compressing them gains little
+const MIN_COMPRESSIBLE_BYTES = 1400;
+// Compression worth reporting saves at least this share of the response
+const MIN_COMPRESSION_RATIO = 0.1;
+
+const TEXT_MIME = /^text\/|javascript|json|xml|svg|ecmascript|wasm/i;
+const COMPRESSED_ENCODINGS = ['br', 'gzip', 'deflate', 'zstd'];
+
+// Chromium priorities given to requests the first render waits on
+const CRITICAL_PRIORITIES = ['VeryHigh', 'High'];
+const CORS_TYPES = ['font', 'fetch', 'xhr'];
+
+const lowercaseKeys = headers => Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+
+const originOf = url => {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start recording responses, their headers and protocol, and the main
+ * document's redirects over CDP. Call before navigating; stop() returns what
+ * was seen, with bodies of uncompressed text responses for estimating savings.
+ */
+async function trackResponses(page) {
+  const session = await page.context().newCDPSession(page);
+  const requests = new Map();
+  let documentId = null;
+  const redirects = [];
+
+  session.on('Network.requestWillBeSent', ({ requestId, request, type, timestamp, redirectResponse }) => {
+    const existing = requests.get(requestId);
+    if (existing && redirectResponse) {
+      if (requestId === documentId) {
+        redirects.push({ url: redirectResponse.url, status: redirectResponse.status, time: Math.round((timestamp - existing.startTime) * 1000) });
+      }
+      Object.assign(existing, { url: request.url, startTime: timestamp });
+      return;
+    }
+    if (!documentId && type === 'Document') documentId = requestId;
+    requests.set(requestId, {
+      url: request.url,
+      type: (type || 'Other').toLowerCase(),
+      priority: request.initialPriority,
+      startTime: timestamp,
+      // The document's start, kept across redirects, is time zero
+      navigationStart: requestId === documentId ? timestamp : null,
+      status: null,
+      protocol: null,
+      mimeType: null,
+      headers: {},
+      cached: false
+    });
+  });
+
+  session.on('Network.resourceChangedPriority', ({ requestId, newPriority }) => {
+    const entry = requests.get(requestId);
+    if (entry) entry.priority = newPriority;
+  });
+
+  session.on('Network.responseReceived', ({ requestId, response }) => {
+    const entry = requests.get(requestId);
+    if (!entry) return;
+    Object.assign(entry, {
+      status: response.status,
+      protocol: response.protocol || null,
+      mimeType: response.mimeType || null,
+      headers: lowercaseKeys(response.headers),
+      cached: Boolean(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache)
+    });
+  });
+
+  session.on('Network.loadingFinished', ({ requestId }) => {
+    const entry = requests.get(requestId);
+    if (entry) entry.finished = true;
+  });
+
+  await session.send('Network.enable');
+
+  return {
+    async stop() {
+      const responses = [...requests.entries()];
+      // Read uncompressed text bodies before the session goes away
+      await Promise.all(responses.map(async ([requestId, entry]) => {
+        if (!entry.finished || !isUncompressedText(entry)) return;
+        try {
+          const { body, base64Encoded } = await session.send('Network.getResponseBody', { requestId });
+          entry.body = Buffer.from(body, base64Encoded ? 'base64' : 'utf8');
+        } catch {
+          // Evicted or streamed bodies can't be read back
+        }
+      }));
+      await session.detach().catch(() => {});
+
+      return {
+        responses: responses.map(([, entry]) => entry),
+        mainDocument: documentId ? requests.get(documentId) : null,
+        redirects
+      };
+    }
+  };
+}
+
+/**
+ * Whether a response is text sent without content encoding
+ */
+function isUncompressedText(entry) {
+  if (entry.status !== 200 || !entry.mimeType || !TEXT_MIME.test(entry.mimeType)) return false;
+  const encoding = (entry.headers['content-encoding'] || '').toLowerCase();
+  return !COMPRESSED_ENCODINGS.some(name => encoding.includes(name));
+}
+
+/**
+ * Cache lifetime in seconds from Cache-Control or Expires, or null when the
+ * response sets neither and browsers fall back to heuristics
+ */
+function cacheLifetime(headers) {
+  const directives = new Map((headers['cache-control'] || '')
+    .toLowerCase()
+    .split(',')
+    .map(directive => directive.trim())
+    .filter(Boolean)
+    .map(directive => {
+      const [name, value] = directive.split('=');
+      return [name.trim(), value === undefined ? true : value.trim().replace(/"/g, '')];
+    }));
+
+  if (directives.has('no-store') || directives.has('no-cache')) return 0;
+  if (directives.has('max-age')) {
+    const maxAge = parseInt(directives.get('max-age'), 10);
+    return Number.isNaN(maxAge) ? 0 : maxAge;
+  }
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, Math.round((expires - date) / 1000));
+  }
+  return null;
+}
+
+/**
+ * First-party static assets cached for less than a week, or not at all
+ */
+function weakCaching(responses, isFirstParty) {
+  return responses
+    .filter(entry => entry.status === 200 && STATIC_TYPES.includes(entry.type) && originOf(entry.url) && isFirstParty(entry.url))
+    .map(entry => ({
+      url: entry.url,
+      type: entry.type,
+      origin: originOf(entry.url),
+      cacheControl: entry.headers['cache-control'] || null,
+      ttl: cacheLifetime(entry.headers),
+      validator: Boolean(entry.headers.etag || entry.headers['last-modified'])
+    }))
+    .filter(asset => asset.ttl === null || asset.ttl < WEAK_CACHE_TTL);
+}
+
+/**
+ * First-party text responses sent without br/gzip, with the bytes gzip would save
+ */
+function missingCompression(responses, isFirstParty) {
+  return responses
+    .filter(entry => entry.body && entry.body.length >= MIN_COMPRESSIBLE_BYTES && isFirstParty(entry.url))
+    .map(entry => {
+      const compressed = zlib.gzipSync(entry.body).length;
+      return {
+        url: entry.url,
+        type: entry.type,
+        mimeType: entry.mimeType,
+        bytes: entry.body.length,
+        gzipBytes: compressed,
+        savings: entry.body.length - compressed
+      };
+    })
+    .filter(file => file.savings >= file.bytes * MIN_COMPRESSION_RATIO)
+    .sort((a, b) => b.savings - a.savings);
+}
+
+/**
+ * HTTP protocol per origin, busiest origins first
+ */
+function originProtocols(responses, isFirstParty) {
+  const origins = new Map();
+  for (const entry of responses) {
+    const origin = originOf(entry.url);
+    if (!origin || !entry.protocol || entry.cached) continue;
+    if (!origins.has(origin)) {
+      origins.set(origin, { origin, protocol: entry.protocol, requests: 0, firstParty: isFirstParty(entry.url) });
+    }
+    origins.get(origin).requests++;
+  }
+  return [...origins.values()].sort((a, b) => b.requests - a.requests);
+}
+
+/**
+ * Origins that serve requests first render waits on but get no preconnect
+ * hint. Requests start in ms from the document request.
+ */
+function missingPreconnects(responses, { mainDocument, hints, fcp }) {
+  if (!mainDocument) return [];
+  const documentOrigin = originOf(mainDocument.url);
+  const origins = new Map();
+
+  for (const entry of responses) {
+    const origin = originOf(entry.url);
+    if (!origin || origin === documentOrigin || hints.includes(origin)) continue;
+    const start = Math.round((entry.startTime - mainDocument.navigationStart) * 1000);
+    if (!CRITICAL_PRIORITIES.includes(entry.priority) || (fcp !== null && start > fcp)) continue;
+    if (!origins.has(origin)) origins.set(origin, { origin, start, urls: [], crossorigin: false });
+    const critical = origins.get(origin);
+    critical.urls.push(entry.url);
+    // Fonts and fetches use CORS connections, which need their own preconnect
+    if (CORS_TYPES.includes(entry.type)) critical.crossorigin = true;
+  }
+
+  return [...origins.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Preconnect hints on the page, from <link rel="preconnect"> and the
+ * document's Link header, plus origins that only get dns-prefetch
+ */
+async function findResourceHints(page, mainDocument) {
+  const links = await page.evaluate(() => [...document.querySelectorAll('link[rel~="preconnect"][href], link[rel~="dns-prefetch"][href]')]
+    .map(link => ({ href: link.href, rel: link.rel }))).catch(() => []);
+
+  // Link: <https://cdn.example.com>; rel=preconnect
+  const header = mainDocument ? mainDocument.headers.link || '' : '';
+  for (const match of header.matchAll(/<([^>]+)>\s*;[^,]*rel="?([^";,]+)"?/g)) {
+    links.push({ href: match[1], rel: match[2] });
+  }
+
+  const origins = rel => links.filter(link => link.rel.split(/\s+/).includes(rel)).map(link => originOf(link.href)).filter(Boolean);
+  return { preconnect: origins('preconnect'), dnsPrefetch: origins('dns-prefetch') };
+}
+
+/**
+ * Header checks for a page load: weak caching and missing compression on
+ * the site's own files, protocol per origin, the main document's redirect
+ * chain, and critical origins without a preconnect hint
+ */
+async function analyzeHeaders(page, tracker, { pageUrl, firstPartyDomains = [], fcp = null } = {}) {
+  const { responses, mainDocument, redirects } = await tracker.stop();
+  const isFirstParty = createPartyClassifier(pageUrl, firstPartyDomains);
+  const hints = await findResourceHints(page, mainDocument);
+
+  return {
+    caching: weakCaching(responses, isFirstParty),
+    compression: missingCompression(responses, isFirstParty),
+    protocols: originProtocols(responses, isFirstParty),
+    redirects: {
+      hops: redirects,
+      finalUrl: mainDocument ? mainDocument.url : pageUrl,
+      time: redirects.reduce((sum, hop) => sum + hop.time, 0)
+    },
+    preconnect: missingPreconnects(responses, { mainDocument, hints: hints.preconnect, fcp })
+      .map(origin => ({ ...origin, dnsPrefetch: hints.dnsPrefetch.includes(origin.origin) }))
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function headerMetrics(headers) {
+  return {
+    weakCacheAssets: headers.caching.length,
+    compressionSavings: headers.compression.reduce((sum, file) => sum + file.savings, 0),
+    http1Origins: headers.protocols.filter(origin => origin.firstParty && /^http\/1/i.test(origin.protocol)).length,
+    documentRedirects: headers.redirects.hops.length,
+    missingPreconnects: headers.preconnect.length
+  };
+}
+
+module.exports = {
+  WEAK_CACHE_TTL,
+  trackResponses,
+  cacheLifetime,
+  analyzeHeaders,
+  headerMetrics
+};
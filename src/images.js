@@ -0,0 +1,222 @@
+/**
+ * Image Analysis
+ * Per-image format, byte, sizing and lazy-loading checks with estimated savings
+ */
+
+const MODERN_FORMATS = ['webp', 'avif'];
+
+// Rough size reduction from re-encoding as WebP at similar quality (AVIF usually does better)
+const FORMAT_SAVINGS = { jpeg: 0.3, png: 0.4, gif: 0.5, bmp: 0.8 };
+
+// Formats that can be resized; SVG scales for free and icons are tiny
+const RASTER_FORMATS = ['jpeg', 'png', 'gif', 'bmp', 'webp', 'avif'];
+
+// Intrinsic pixels may exceed what the screen needs by this much before it counts as oversized
+const OVERSIZE_SLACK = 1.25;
+
+// Offenders kept per list in results
+const MAX_OFFENDERS = 10;
+
+const MIME_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+const EXTENSION_FORMATS = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg', bmp: 'bmp', ico: 'ico' };
+
+/**
+ * Image format from the response content type, falling back to the file extension
+ */
+function imageFormat(mimeType, url) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  if (MIME_FORMATS[type]) return MIME_FORMATS[type];
+
+  try {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    return EXTENSION_FORMATS[extension] || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Read every <img> on the page: intrinsic and rendered size, loading attribute,
+ * whether its space is reserved, and whether it sits below the first screen
+ */
+async function collectImageElements(page) {
+  return page.evaluate(() => {
+    const viewportHeight = window.innerHeight;
+
+    // Stylesheet rules that give elements a width or height; cross-origin sheets can't be read
+    const sizeRules = [];
+    const collectRules = rules => {
+      for (const rule of rules) {
+        if (rule.media && !window.matchMedia(rule.media.mediaText).matches) continue;
+        if (rule.selectorText && rule.style) {
+          const fixed = name => !['', 'auto'].includes(rule.style.getPropertyValue(name));
+          if (fixed('width') || fixed('height')) sizeRules.push({ selector: rule.selectorText, width: fixed('width'), height: fixed('height') });
+        } else if (rule.cssRules) {
+          collectRules(rule.cssRules);
+        }
+      }
+    };
+    for (const sheet of document.styleSheets) {
+      try {
+        collectRules(sheet.cssRules);
+      } catch (error) {
+        // Cross-origin stylesheet
+      }
+    }
+
+    // Both width and height fixed by CSS, so the box doesn't wait for the image
+    const sizedByCss = img => {
+      let width = !['', 'auto'].includes(img.style.width);
+      let height = !['', 'auto'].includes(img.style.height);
+      for (const rule of sizeRules) {
+        let matches = false;
+        try {
+          matches = img.matches(rule.selector);
+        } catch (error) {
+          // Selectors with pseudo-elements can't be matched
+        }
+        if (!matches) continue;
+        width = width || rule.width;
+        height = height || rule.height;
+      }
+      return width && height;
+    };
+
+    const elements = [...document.images]
+      .filter(img => (img.currentSrc || img.src) && !(img.currentSrc || img.src).startsWith('data:'))
+      .map(img => {
+        const rect = img.getBoundingClientRect();
+        return {
+          url: img.currentSrc || img.src,
+          naturalWidth: img.naturalWidth,
+          naturalHeight: img.naturalHeight,
+          renderedWidth: Math.round(rect.width),
+          renderedHeight: Math.round(rect.height),
+          visible: rect.width > 0 && rect.height > 0,
+          lazy: img.getAttribute('loading') === 'lazy',
+          // width/height attributes, CSS aspect-ratio or a fixed CSS box let the browser reserve space
+          unsized: getComputedStyle(img).aspectRatio === 'auto' && !(img.hasAttribute('width') && img.hasAttribute('height')) && !sizedByCss(img),
+          offscreen: rect.top + window.scrollY >= viewportHeight
+        };
+      });
+    return { dpr: window.devicePixelRatio || 1, elements };
+  });
+}
+
+/**
+ * Check one image request against the element that displays it (if any)
+ */
+function analyzeImage(request, element, dpr) {
+  const format = imageFormat(request.mimeType, request.url);
+  const bytes = request.transferSize;
+  const image = {
+    url: request.url,
+    format,
+    bytes,
+    intrinsic: element ? { width: element.naturalWidth, height: element.naturalHeight } : null,
+    rendered: element ? { width: element.renderedWidth, height: element.renderedHeight } : null,
+    target: null,
+    dpr,
+    lazy: element ? element.lazy : null,
+    offscreen: element ? element.offscreen : null,
+    missingDimensions: element ? element.visible && element.unsized : null,
+    modernFormat: MODERN_FORMATS.includes(format),
+    savings: 0,
+    issues: []
+  };
+
+  // Share of the bytes worth keeping after resizing and re-encoding
+  let keep = 1;
+  if (element && element.visible && element.naturalWidth && RASTER_FORMATS.includes(format)) {
+    const neededWidth = Math.ceil(element.renderedWidth * dpr);
+    const neededHeight = Math.ceil(element.renderedHeight * dpr);
+    const naturalPixels = element.naturalWidth * element.naturalHeight;
+    if (naturalPixels > neededWidth * neededHeight * OVERSIZE_SLACK) {
+      keep = (neededWidth * neededHeight) / naturalPixels;
+      image.target = { width: neededWidth, height: neededHeight };
+      image.issues.push('oversized');
+    }
+  }
+  if (FORMAT_SAVINGS[format]) {
+    keep *= 1 - FORMAT_SAVINGS[format];
+    image.issues.push('legacy-format');
+  }
+  image.savings = Math.round(bytes * (1 - keep));
+
+  if (element && element.visible && element.offscreen && !element.lazy) image.issues.push('not-lazy');
+  if (image.missingDimensions) image.issues.push('missing-dimensions');
+
+  return image;
+}
+
+/**
+ * Analyze every image request the page made. Returns totals, estimated savings
+ * and the worst offenders for resizing/re-encoding, lazy loading and sizing.
+ */
+async function analyzeImages(page, requests) {
+  const { dpr, elements } = await collectImageElements(page).catch(() => ({ dpr: 1, elements: [] }));
+
+  // The same image can be shown several times; size it for its largest use
+  const byUrl = new Map();
+  for (const element of elements) {
+    const existing = byUrl.get(element.url);
+    if (!existing || element.renderedWidth * element.renderedHeight > existing.renderedWidth * existing.renderedHeight) {
+      byUrl.set(element.url, element);
+    }
+  }
+
+  const seen = new Set();
+  const images = requests
+    .filter(request => request.type === 'image' && !request.failed && !request.url.startsWith('data:'))
+    .filter(request => !seen.has(request.url) && seen.add(request.url))
+    .map(request => analyzeImage(request, byUrl.get(request.url), dpr));
+
+  const withIssue = issue => images.filter(image => image.issues.includes(issue));
+  const worst = (list, key) => [...list].sort((a, b) => b[key] - a[key]).slice(0, MAX_OFFENDERS);
+  const notLazy = withIssue('not-lazy');
+
+  return {
+    count: images.length,
+    totalBytes: images.reduce((sum, image) => sum + image.bytes, 0),
+    potentialSavings: images.reduce((sum, image) => sum + image.savings, 0),
+    offscreenBytes: notLazy.reduce((sum, image) => sum + image.bytes, 0),
+    oversizedCount: withIssue('oversized').length,
+    legacyFormatCount: withIssue('legacy-format').length,
+    offscreenCount: notLazy.length,
+    unsizedCount: withIssue('missing-dimensions').length,
+    offenders: worst(images.filter(image => image.savings > 0), 'savings'),
+    offscreen: worst(notLazy, 'bytes'),
+    unsized: worst(withIssue('missing-dimensions'), 'bytes')
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function imageMetrics(images) {
+  return {
+    imageSavings: images.potentialSavings,
+    offscreenImageBytes: images.offscreenBytes,
+    unsizedImages: images.unsizedCount
+  };
+}
+
+module.exports = {
+  MODERN_FORMATS,
+  imageFormat,
+  analyzeImage,
+  analyzeImages,
+  imageMetrics
+};
@@ -0,0 +1,162 @@
+/**
+ * Audit Job Queue
+ * Runs audits in the background with a shared concurrency limit
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs are kept this long so clients can collect the result
+const JOB_TTL = 60 * 60 * 1000;
+
+// Jobs allowed to wait for a free slot; submissions beyond this are refused
+const MAX_PENDING = 20;
+
+// Lifecycle events that end a job's event stream
+const TERMINAL_EVENTS = ['job-completed', 'job-failed', 'job-cancelled'];
+
+/**
+ * Create a queue that runs jobs through `runner(params, emit)`, at most `concurrency` at a time,
+ * with at most `maxPending` waiting. Every event the runner emits is kept on the job so late
+ * subscribers can replay it.
+ */
+function createJobQueue({ runner, concurrency = 1, ttl = JOB_TTL, maxPending = MAX_PENDING }) {
+  const jobs = new Map();
+  const pending = [];
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let running = 0;
+
+  const publicView = job => ({
+    id: job.id,
+    status: job.status,
+    position: job.status === 'queued' ? pending.indexOf(job) + 1 : null,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  });
+
+  const prune = () => {
+    const cutoff = Date.now() - ttl;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+    }
+  };
+
+  const record = (job, event) => {
+    const entry = { id: job.events.length, timestamp: new Date().toISOString(), ...event };
+    job.events.push(entry);
+    emitter.emit(job.id, entry);
+  };
+
+  const finish = (job, status, fields) => {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    record(job, { type: `job-${status}`, status, error: job.error });
+  };
+
+  const next = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      record(job, { type: 'job-started', status: 'running' });
+
+      const emit = event => {
+        job.progress = event;
+        record(job, event);
+      };
+
+      Promise.resolve()
+        .then(() => runner(job.params, emit))
+        .then(result => finish(job, 'completed', { result }))
+        .catch(error => finish(job, 'failed', { error: error.message }))
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queue a job and return its public view, or null when the queue is full
+     */
+    submit(params) {
+      prune();
+      if (pending.length >= maxPending) return null;
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        params,
+        progress: null,
+        events: [],
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      record(job, { type: 'job-queued', status: 'queued' });
+      const view = publicView(job);
+      next();
+      return view;
+    },
+
+    /**
+     * Public view of a job, or null when unknown or expired
+     */
+    get(id) {
+      prune();
+      const job = jobs.get(id);
+      return job ? publicView(job) : null;
+    },
+
+    /**
+     * Replay a job's events after `lastEventId`, then follow new ones until it finishes.
+     * Returns an unsubscribe function, or null when the job is unknown.
+     */
+    subscribe(id, listener, lastEventId = -1) {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      job.events.slice(lastEventId + 1).forEach(listener);
+      if (job.finishedAt) return () => {};
+
+      const onEvent = event => {
+        listener(event);
+        if (TERMINAL_EVENTS.includes(event.type)) emitter.off(id, onEvent);
+      };
+      emitter.on(id, onEvent);
+      return () => emitter.off(id, onEvent);
+    },
+
+    /**
+     * Cancel a queued job. Returns the job view, or throws when it already started.
+     */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status !== 'queued') {
+        throw new Error(`Job is ${job.status} and can no longer be cancelled`);
+      }
+      pending.splice(pending.indexOf(job), 1);
+      finish(job, 'cancelled', {});
+      return publicView(job);
+    },
+
+    /**
+     * Queue depth and concurrency, for health checks
+     */
+    stats() {
+      return { queued: pending.length, running, concurrency, maxPending };
+    }
+  };
+}
+
+module.exports = { createJobQueue, JOB_TTL, MAX_PENDING, TERMINAL_EVENTS };
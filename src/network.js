@@ -0,0 +1,141 @@
+/**
+ * Network Request Tracking
+ * Per-request transfer and decoded sizes, and page weight by resource type
+ */
+
+// Playwright resource types grouped into the buckets we report on
+const TYPE_BUCKETS = {
+  document: 'document',
+  script: 'script',
+  stylesheet: 'css',
+  image: 'image',
+  font: 'font',
+  media: 'media'
+};
+
+const BYTE_BUCKETS = ['document', 'script', 'css', 'image', 'font', 'media', 'other'];
+
+/**
+ * Start recording every request the page makes.
+ * Call settle() after navigation so pending size lookups finish before the context closes.
+ */
+function trackRequests(page) {
+  const requests = [];
+  const entries = new Map();
+  const pending = [];
+
+  page.on('request', request => {
+    const entry = {
+      url: request.url(),
+      type: request.resourceType(),
+      method: request.method(),
+      status: null,
+      mimeType: null,
+      transferSize: 0,
+      encodedSize: 0,
+      decodedSize: 0
+    };
+    entries.set(request, entry);
+    requests.push(entry);
+  });
+
+  page.on('requestfinished', request => {
+    const entry = entries.get(request);
+    if (!entry) return;
+
+    pending.push((async () => {
+      try {
+        const [response, sizes] = await Promise.all([request.response(), request.sizes()]);
+        if (response) {
+          entry.status = response.status();
+          entry.mimeType = response.headers()['content-type'] || null;
+        }
+        entry.encodedSize = sizes.responseBodySize;
+        entry.transferSize = sizes.responseHeadersSize + sizes.responseBodySize;
+      } catch (error) {
+        // Page or context went away before sizes were available
+      }
+    })());
+  });
+
+  page.on('requestfailed', request => {
+    const entry = entries.get(request);
+    if (entry) entry.failed = request.failure()?.errorText || 'failed';
+  });
+
+  return {
+    requests,
+    async settle() {
+      await Promise.all(pending);
+    }
+  };
+}
+
+/**
+ * Fill in decoded sizes from the Resource Timing API.
+ * Entries are matched to requests by URL in request order, so repeated URLs stay distinct.
+ */
+async function applyResourceTimings(page, requests) {
+  const timings = await page.evaluate(() => {
+    return performance.getEntriesByType('navigation')
+      .concat(performance.getEntriesByType('resource'))
+      .map(entry => ({
+        url: entry.name,
+        transferSize: entry.transferSize,
+        encodedSize: entry.encodedBodySize,
+        decodedSize: entry.decodedBodySize
+      }));
+  }).catch(() => []);
+
+  const byUrl = new Map();
+  for (const timing of timings) {
+    if (!byUrl.has(timing.url)) byUrl.set(timing.url, []);
+    byUrl.get(timing.url).push(timing);
+  }
+
+  for (const entry of requests) {
+    const timing = byUrl.get(entry.url)?.shift();
+    // Cross-origin entries without Timing-Allow-Origin report zero sizes
+    if (timing && timing.decodedSize > 0) {
+      entry.decodedSize = timing.decodedSize;
+      if (!entry.encodedSize) entry.encodedSize = timing.encodedSize;
+      if (!entry.transferSize) entry.transferSize = timing.transferSize;
+    }
+    if (!entry.decodedSize) entry.decodedSize = entry.encodedSize;
+  }
+}
+
+/**
+ * Total transfer and decoded bytes, overall and per resource type
+ */
+function summarizeBytes(requests) {
+  const bytesByType = Object.fromEntries(BYTE_BUCKETS.map(bucket => [bucket, 0]));
+  let totalBytes = 0;
+  let totalDecodedBytes = 0;
+
+  for (const entry of requests) {
+    const bucket = TYPE_BUCKETS[entry.type] || 'other';
+    bytesByType[bucket] += entry.transferSize;
+    totalBytes += entry.transferSize;
+    totalDecodedBytes += entry.decodedSize;
+  }
+
+  return { totalBytes, totalDecodedBytes, bytesByType };
+}
+
+/**
+ * Human-readable byte count
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes}B`;
+}
+
+module.exports = {
+  BYTE_BUCKETS,
+  trackRequests,
+  applyResourceTimings,
+  summarizeBytes,
+  formatBytes
+};
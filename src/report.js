@@ -0,0 +1,529 @@
+/**
+ * Report Generation
+ * Standalone renderings of a saved runAudit result: a single-file HTML report
+ * with inline SVG charts, and Markdown for PR comments and tickets
+ */
+
+const { formatBytes } = require('./network');
+
+// Same breakpoints as the web UI's score circle
+const scoreColor = score => (score >= 75 ? '#059669' : score >= 50 ? '#d97706' : '#dc2626');
+const subScoreColor = score => (score >= 90 ? '#059669' : score >= 50 ? '#d97706' : '#dc2626');
+
+// Colors for page weight by resource type
+const TYPE_COLORS = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#6b7280'];
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for a Markdown table cell or list item
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '')
+    .replace(/([\\`*_[\]|<>])/g, '\\$1')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * A metric with its unit, or n/a
+ */
+function formatValue(value, unit = '') {
+  if (value === null || value === undefined) return 'n/a';
+  if (unit === 'bytes') return formatBytes(value);
+  return `${value}${unit}`;
+}
+
+/**
+ * Headline Web Vitals for a page, in display order
+ */
+function pageVitals(page) {
+  const { metrics } = page;
+  return [
+    ['LCP', metrics.lcp, 'ms'],
+    ['FCP', metrics.fcp, 'ms'],
+    ['CLS', metrics.cls, ''],
+    ['TBT', metrics.tbt, 'ms'],
+    ['TTFB', metrics.ttfb, 'ms'],
+    ['Speed Index', metrics.speedIndex, 'ms'],
+    ['INP', metrics.inp, 'ms'],
+    ['Load Event', typeof page.loadTime === 'number' ? page.loadTime.toFixed(1) : null, 's'],
+    ['Step Time', page.flow ? metrics.interactionTime : null, 'ms'],
+    ['Requests', metrics.totalRequests, ''],
+    ['Page Weight', metrics.totalBytes, 'bytes']
+  ].filter(([label, value]) => (value !== null && value !== undefined) || ['LCP', 'FCP', 'CLS', 'TBT'].includes(label));
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const pageTitle = page => `${page.pageLabel}${page.deviceLabel ? ` (${page.deviceLabel})` : ''}`;
+
+/**
+ * Circular score gauge
+ */
+function scoreGaugeSvg(score, size = 120) {
+  const radius = 50;
+  const circumference = 2 * Math.PI * radius;
+  return `<svg class="gauge" width="${size}" height="${size}" viewBox="0 0 120 120" role="img" aria-label="Score ${score} out of 100">
+    <circle cx="60" cy="60" r="${radius}" fill="none" stroke="#e5e7eb" stroke-width="10"/>
+    <circle cx="60" cy="60" r="${radius}" fill="none" stroke="${scoreColor(score)}" stroke-width="10" stroke-linecap="round"
+      stroke-dasharray="${circumference.toFixed(1)}" stroke-dashoffset="${(circumference * (1 - score / 100)).toFixed(1)}" transform="rotate(-90 60 60)"/>
+    <text x="60" y="70" text-anchor="middle" font-size="30" font-weight="700" fill="${scoreColor(score)}">${score}</text>
+  </svg>`;
+}
+
+/**
+ * Horizontal bars, one per row: [{label, value, color, text}] against a 0..max scale
+ */
+function barChartSvg(rows, { max, width = 640, labelWidth = 200 }) {
+  const rowHeight = 24;
+  const barWidth = width - labelWidth - 60;
+  const top = max || Math.max(...rows.map(row => row.value), 1);
+  const bars = rows.map((row, i) => {
+    const y = i * rowHeight;
+    const length = Math.max(0, Math.min(1, row.value / top)) * barWidth;
+    return `<text x="0" y="${y + 16}" font-size="12" fill="#374151">${escapeHtml(row.label.length > 30 ? `${row.label.slice(0, 29)}…` : row.label)}</text>
+    <rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="14" rx="3" fill="#f3f4f6"/>
+    <rect x="${labelWidth}" y="${y + 4}" width="${length.toFixed(1)}" height="14" rx="3" fill="${row.color}"><title>${escapeHtml(row.label)}: ${escapeHtml(row.text)}</title></rect>
+    <text x="${labelWidth + barWidth + 8}" y="${y + 16}" font-size="12" fill="#374151">${escapeHtml(row.text)}</text>`;
+  }).join('');
+  return `<svg class="chart" width="100%" viewBox="0 0 ${width} ${rows.length * rowHeight}" role="img">${bars}</svg>`;
+}
+
+/**
+ * One stacked bar of page weight by resource type, with a legend
+ */
+function weightChartSvg(bytesByType, width = 640) {
+  const entries = Object.entries(bytesByType || {}).filter(([, bytes]) => bytes > 0);
+  const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+  if (total === 0) return '';
+
+  let x = 0;
+  const segments = entries.map(([type, bytes], i) => {
+    const segmentWidth = (bytes / total) * width;
+    const rect = `<rect x="${x.toFixed(1)}" y="0" width="${segmentWidth.toFixed(1)}" height="18" fill="${TYPE_COLORS[i % TYPE_COLORS.length]}"><title>${escapeHtml(type)}: ${formatBytes(bytes)}</title></rect>`;
+    x += segmentWidth;
+    return rect;
+  }).join('');
+  const legend = entries.map(([type, bytes], i) =>
+    `<span class="legend-item"><span class="swatch" style="background: ${TYPE_COLORS[i % TYPE_COLORS.length]}"></span>${escapeHtml(type)} ${formatBytes(bytes)}</span>`
+  ).join('');
+  return `<svg class="chart" width="100%" viewBox="0 0 ${width} 18" preserveAspectRatio="none" role="img">${segments}</svg>
+      <div class="legend">${legend}</div>`;
+}
+
+/**
+ * Score breakdown bars: each metric's sub-score
+ */
+function breakdownChartSvg(breakdown) {
+  if (!breakdown || breakdown.length === 0) return '';
+  return barChartSvg(breakdown.map(entry => ({
+    label: entry.label,
+    value: entry.score,
+    color: subScoreColor(entry.score),
+    text: `${entry.score} (weight ${entry.weight})`
+  })), { max: 100 });
+}
+
+/**
+ * Main-thread time by kind of work
+ */
+function mainThreadChartSvg(categories) {
+  if (!categories || categories.length === 0) return '';
+  return barChartSvg(categories.map((category, i) => ({
+    label: category.label,
+    value: category.time,
+    color: TYPE_COLORS[i % TYPE_COLORS.length],
+    text: `${category.time}ms`
+  })), {});
+}
+
+/**
+ * Visual progress over time as a step line from 0 to 100%
+ */
+function progressChartSvg(progress, width = 640, height = 80) {
+  const end = progress[progress.length - 1].time || 1;
+  const x = time => ((time / end) * (width - 40)).toFixed(1);
+  const y = value => (height - 14 - value * (height - 24)).toFixed(1);
+  const path = progress.map((point, i) => (i === 0
+    ? `M${x(point.time)},${y(point.progress)}`
+    : `H${x(point.time)} V${y(point.progress)}`)).join(' ');
+  return `<svg class="chart" width="100%" viewBox="0 0 ${width} ${height}" role="img" aria-label="Visual progress">
+    <line x1="0" y1="${y(0)}" x2="${width - 40}" y2="${y(0)}" stroke="#e5e7eb"/>
+    <path d="${path}" fill="none" stroke="#2563eb" stroke-width="2"/>
+    <text x="${width - 36}" y="${y(1)}" font-size="11" fill="#6b7280">100%</text>
+    <text x="0" y="${height - 1}" font-size="11" fill="#6b7280">0ms</text>
+    <text x="${width - 40}" y="${height - 1}" font-size="11" fill="#6b7280" text-anchor="end">${end}ms</text>
+  </svg>`;
+}
+
+/**
+ * Timed frames of the viewport during load and the progress curve
+ */
+function htmlFilmstrip(filmstrip) {
+  const frames = filmstrip.frames.map(frame => `<figure><img src="${escapeHtml(frame.image)}" alt="Viewport at ${frame.time}ms"><figcaption>${(frame.time / 1000).toFixed(1)}s &middot; ${Math.round(frame.progress * 100)}%</figcaption></figure>`).join('');
+  return `<h4>Filmstrip</h4>
+      <p>Speed Index ${formatValue(filmstrip.speedIndex, 'ms')}, visually complete at ${formatValue(filmstrip.visuallyComplete, 'ms')}</p>
+      <div class="filmstrip">${frames}</div>
+      ${filmstrip.progress.length > 1 ? progressChartSvg(filmstrip.progress) : ''}`;
+}
+
+/**
+ * HTML table from a header row and body rows of already-escaped cells
+ */
+const htmlTable = (head, rows) => `<table>
+        <thead><tr>${head.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+
+/**
+ * Resource sections shared by every page: critical path, images, unused code and third parties
+ */
+function htmlResourceSections(page) {
+  const sections = [];
+
+  if (page.criticalChain) {
+    const blocking = page.renderBlocking || [];
+    sections.push(`<h4>Critical Path</h4>
+      <p>${page.metrics.renderBlockingResources} render-blocking resources (${page.metrics.renderBlockingTime}ms),
+        longest chain ${page.criticalChain.depth} requests in ${page.criticalChain.duration}ms</p>
+      ${blocking.length ? htmlTable(['Resource', 'Type', 'Size', 'Blocking'], blocking.map(resource => [
+        `<span class="url">${escapeHtml(resource.url)}</span>`, escapeHtml(resource.type), formatBytes(resource.transferSize || 0), `${resource.blockingTime}ms`
+      ])) : ''}`);
+  }
+
+  if (page.headers && page.headers.protocols.length) {
+    const { caching, compression, protocols, redirects } = page.headers;
+    sections.push(`<h4>Network</h4>
+      <p>${plural(caching.length, 'weakly cached asset')}, ${plural(compression.length, 'uncompressed file')}, ${plural(redirects.hops.length, 'redirect')} before the page</p>
+      ${htmlTable(['Origin', 'Protocol', 'Requests'], protocols.map(origin => [
+        `<span class="url">${escapeHtml(origin.origin)}</span>`, escapeHtml(origin.protocol), origin.requests
+      ]))}`);
+  }
+
+  if (page.images && page.images.offenders.length) {
+    sections.push(`<h4>Images</h4>
+      <p>${plural(page.images.count, 'image')} (${formatBytes(page.images.totalBytes)}), about ${formatBytes(page.images.potentialSavings)} could be saved</p>
+      ${htmlTable(['Image', 'Format', 'Size', 'Savings'], page.images.offenders.map(image => [
+        `<span class="url">${escapeHtml(image.url)}</span>`, escapeHtml(image.format), formatBytes(image.bytes || 0), formatBytes(image.savings)
+      ]))}`);
+  }
+
+  if (page.coverage && page.coverage.files.length) {
+    const { scripts, stylesheets } = page.coverage;
+    sections.push(`<h4>Unused Code</h4>
+      <p>JavaScript ${scripts.unusedPercent}% unused of ${formatBytes(scripts.totalBytes)}, CSS ${stylesheets.unusedPercent}% unused of ${formatBytes(stylesheets.totalBytes)}</p>
+      ${htmlTable(['File', 'Type', 'Unused', 'Wasted'], page.coverage.files.map(file => [
+        file.inline ? `inline ${escapeHtml(file.type)}` : `<span class="url">${escapeHtml(file.url)}</span>`, escapeHtml(file.type), `${file.unusedPercent}%`, formatBytes(file.wastedBytes)
+      ]))}`);
+  }
+
+  if (page.mainThread && page.mainThread.categories.length) {
+    const { totalTime, totalBlockingTime, longTaskCount, scripts, longTasks } = page.mainThread;
+    sections.push(`<h4>Main Thread</h4>
+      <p>${totalTime}ms of main-thread work, ${plural(longTaskCount, 'long task')}, ${totalBlockingTime}ms blocking after first paint</p>
+      ${mainThreadChartSvg(page.mainThread.categories)}
+      ${scripts.length ? htmlTable(['Script', 'Total', 'Evaluation', 'Parse & Compile'], scripts.map(script => [
+        `<span class="url">${escapeHtml(script.url)}</span>`, `${script.total}ms`, `${script.scriptEvaluation}ms`, `${script.scriptParseCompile}ms`
+      ])) : ''}
+      ${longTasks.length ? htmlTable(['Long Task', 'Start', 'Blocking', 'Mostly', 'Script'], longTasks.map(task => [
+        `${task.duration}ms`, `${task.start}ms`, `${task.blockingTime}ms`, escapeHtml(task.categoryLabel), task.url ? `<span class="url">${escapeHtml(task.url)}</span>` : ''
+      ])) : ''}`);
+  }
+
+  if (page.thirdParties && page.thirdParties.vendors.length) {
+    const { vendors, requests, bytes, mainThreadTime } = page.thirdParties;
+    const timed = mainThreadTime !== null;
+    sections.push(`<h4>Third Parties</h4>
+      <p>${plural(vendors.length, 'vendor')}, ${plural(requests, 'request')}, ${formatBytes(bytes)}${timed ? `, ${mainThreadTime}ms main thread` : ''}</p>
+      ${htmlTable(['Vendor', 'Category', 'Requests', 'Size', ...(timed ? ['Main Thread', 'Blocking'] : [])], vendors.map(vendor => [
+        escapeHtml(vendor.name), escapeHtml(vendor.categoryLabel), vendor.requests, formatBytes(vendor.bytes),
+        ...(timed ? [`${vendor.mainThreadTime}ms`, `${vendor.blockingTime}ms`] : [])
+      ]))}`);
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Collapsible section for one page
+ */
+function htmlPage(page, index) {
+  const vitals = pageVitals(page).map(([label, value, unit]) =>
+    `<div class="vital"><span class="vital-value">${escapeHtml(formatValue(value, unit))}</span><span class="vital-label">${label}</span></div>`
+  ).join('');
+  const samples = page.samples
+    ? `<p class="muted">Median of ${page.samples.runs} runs, ${escapeHtml(page.samples.variance.level)} variance</p>`
+    : '';
+
+  return `
+    <details class="page"${index === 0 ? ' open' : ''}>
+      <summary>
+        <span class="page-score" style="background: ${scoreColor(page.score)}">${page.score}</span>
+        <span class="page-title">${escapeHtml(pageTitle(page))}</span>
+        <span class="muted">${plural(page.findings.findings.length, 'issue')}</span>
+      </summary>
+      <p class="url">${escapeHtml(page.url)}</p>
+      ${page.flow ? `<p>Flow step: ${escapeHtml(page.step)} (${escapeHtml(page.stepAction)}${page.navigated ? ', navigated' : ''})</p>` : ''}
+      <div class="vitals">${vitals}</div>
+      ${samples}
+      ${page.filmstrip && page.filmstrip.frames.length ? htmlFilmstrip(page.filmstrip) : ''}
+      <h4>Score Breakdown</h4>
+      ${breakdownChartSvg(page.scoreBreakdown)}
+      <h4>Page Weight</h4>
+      ${weightChartSvg(page.metrics.bytesByType)}
+      ${htmlResourceSections(page)}
+      <h4>Issues</h4>
+      <ul class="findings">
+        ${page.findings.findings.length ? '' : '<li>No issues found</li>'}
+        ${page.findings.findings.map(finding => `<li><span class="impact impact-${escapeHtml(finding.impact)}">${escapeHtml(finding.impact)}</span> ${escapeHtml(finding.issue)}${finding.metric ? ` <span class="muted">${escapeHtml(finding.metric)}; ${escapeHtml(finding.threshold)}</span>` : ''}</li>`).join('')}
+      </ul>
+      <h4>Fixes</h4>
+      <ol class="fixes">
+        ${page.findings.fixes.map(fix => `<li><strong>${escapeHtml(fix.action)}</strong> <span class="difficulty">${escapeHtml(fix.difficulty)}</span><br>${escapeHtml(fix.detail)}</li>`).join('')}
+      </ol>
+    </details>`;
+}
+
+/**
+ * Budget checks attached to a result by the CLI
+ */
+function htmlBudget(evaluation) {
+  return `
+  <section>
+    <h2>Budget: <span style="color: ${evaluation.passed ? '#059669' : '#dc2626'}">${evaluation.passed ? 'passed' : 'failed'}</span></h2>
+    <p>${evaluation.total - evaluation.failed} of ${evaluation.total} checks passed</p>
+    ${htmlTable(['Result', 'Page', 'Metric', 'Actual', 'Budget'], evaluation.checks.map(check => [
+      check.passed ? 'PASS' : '<strong class="fail">FAIL</strong>',
+      escapeHtml(check.device ? `${check.page} (${check.device})` : check.page),
+      escapeHtml(check.metric),
+      check.actual === null ? 'n/a' : escapeHtml(check.actual),
+      `${escapeHtml(check.comparison)} ${escapeHtml(check.limit)}`
+    ]))}
+  </section>`;
+}
+
+/**
+ * Single-file HTML report with inline styles and SVG charts; each page is a
+ * collapsible section
+ */
+function renderHtml(results) {
+  const overview = results.pages.length > 1
+    ? `<h2>Pages</h2>
+  ${barChartSvg(results.pages.map(page => ({
+    label: pageTitle(page),
+    value: page.score,
+    color: scoreColor(page.score),
+    text: String(page.score)
+  })), { max: 100, labelWidth: 240 })}`
+    : '';
+  const throttling = results.throttling
+    ? ` &middot; ${escapeHtml(results.throttling.label)} (${results.throttling.latency}ms RTT, ${results.throttling.downloadKbps}Kbps, ${results.throttling.cpuSlowdown}x CPU)`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Speed Audit: ${escapeHtml(results.url)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0; }
+  h4 { margin: 1.5rem 0 0.5rem; }
+  .url { font-family: monospace; color: #4b5563; word-break: break-all; }
+  .muted { color: #6b7280; font-size: 0.875rem; }
+  .header { display: flex; align-items: center; gap: 1.5rem; margin: 1.5rem 0; }
+  .summary-stats { display: flex; gap: 1.5rem; flex-wrap: wrap; }
+  .stat-value { display: block; font-size: 1.25rem; font-weight: 600; }
+  .stat-label { font-size: 0.75rem; color: #6b7280; text-transform: uppercase; }
+  .chart { display: block; margin: 0.5rem 0; }
+  .legend { display: flex; flex-wrap: wrap; gap: 0.75rem; font-size: 0.75rem; margin-bottom: 0.5rem; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+  .page { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1.5rem; margin: 1rem 0; }
+  .page summary { cursor: pointer; display: flex; align-items: center; gap: 0.75rem; font-weight: 600; }
+  .page-score { color: #fff; border-radius: 999px; min-width: 2.25rem; text-align: center; padding: 0.125rem 0.5rem; }
+  .page-title { flex: 1; }
+  .vitals { display: grid; grid-template-columns: repeat(auto-fill, minmax(110px, 1fr)); gap: 0.5rem; }
+  .vital { background: #f9fafb; border-radius: 6px; padding: 0.5rem; text-align: center; }
+  .vital-value { display: block; font-weight: 600; }
+  .vital-label { font-size: 0.75rem; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  .filmstrip { display: flex; gap: 0.375rem; overflow-x: auto; padding-bottom: 0.25rem; }
+  .filmstrip figure { margin: 0; flex: 0 0 auto; text-align: center; }
+  .filmstrip img { display: block; height: 160px; border: 1px solid #e5e7eb; border-radius: 4px; }
+  .filmstrip figcaption { font-size: 0.75rem; color: #6b7280; }
+  .findings li, .fixes li { margin-bottom: 0.5rem; }
+  .impact, .difficulty { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; padding: 0 0.375rem; border-radius: 4px; background: #f3f4f6; }
+  .impact-critical, .impact-high, .fail { background: #fee2e2; color: #dc2626; }
+  .impact-medium { background: #fef3c7; color: #d97706; }
+  footer { margin: 2rem 0; color: #6b7280; font-size: 0.875rem; }
+  @media print { .page { break-inside: avoid; } }
+</style>
+</head>
+<body>
+  <h1>Speed Audit</h1>
+  <p class="url">${escapeHtml(results.url)} &middot; ${escapeHtml(results.timestamp)}${throttling}</p>
+  <div class="header">
+    ${scoreGaugeSvg(results.score)}
+    <div>
+      <p>${escapeHtml(results.summary.recommendation)}</p>
+      <div class="summary-stats">
+        <div><span class="stat-value">${escapeHtml(results.summary.averageLoadTime)}s</span><span class="stat-label">Avg Load Time</span></div>
+        <div><span class="stat-value">${escapeHtml(results.summary.averageLcp)}s</span><span class="stat-label">Avg LCP</span></div>
+        <div><span class="stat-value">${results.summary.pagesAudited}</span><span class="stat-label">Pages Audited</span></div>
+      </div>
+    </div>
+  </div>
+  <h2>Score Breakdown</h2>
+  ${breakdownChartSvg(results.scoreBreakdown)}
+  ${overview}
+  ${results.budget ? htmlBudget(results.budget) : ''}
+  <h2>Page Details</h2>
+  ${results.pages.map(htmlPage).join('')}
+  <footer>Generated by CodeBru Speed Audit &middot; <a href="https://codebru.com">codebru.com</a></footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Markdown table from a header row and body rows
+ */
+const markdownTable = (head, rows) => [
+  `| ${head.join(' | ')} |`,
+  `| ${head.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${row.join(' | ')} |`)
+];
+
+/**
+ * Markdown for one page, collapsed in a <details> block (GitHub, GitLab and most trackers render it)
+ */
+function markdownPage(page) {
+  const lines = [];
+  const code = url => `\`${String(url).replace(/`/g, '')}\``;
+
+  lines.push('<details>');
+  lines.push(`<summary><strong>${escapeHtml(pageTitle(page))}</strong>: score ${page.score}, ${plural(page.findings.findings.length, 'issue')}</summary>`);
+  lines.push('');
+  lines.push(code(page.url));
+  lines.push('');
+  const vitals = pageVitals(page);
+  lines.push(...markdownTable(vitals.map(([label]) => label), [vitals.map(([, value, unit]) => formatValue(value, unit))]));
+  lines.push('');
+
+  if (page.filmstrip && page.filmstrip.visuallyComplete !== null) {
+    lines.push(`**Visually complete** at ${page.filmstrip.visuallyComplete}ms (Speed Index ${formatValue(page.filmstrip.speedIndex, 'ms')})`);
+    lines.push('');
+  }
+  if (page.criticalChain) {
+    lines.push(`**Critical path:** ${page.metrics.renderBlockingResources} render-blocking resources (${page.metrics.renderBlockingTime}ms), longest chain ${page.criticalChain.depth} requests in ${page.criticalChain.duration}ms`);
+    lines.push('');
+  }
+  if (page.headers && page.headers.protocols.length) {
+    const { caching, compression, protocols, redirects } = page.headers;
+    lines.push(`**Network:** ${plural(caching.length, 'weakly cached asset')}, ${plural(compression.length, 'uncompressed file')}, ${plural(redirects.hops.length, 'redirect')}; ${protocols.slice(0, 5).map(origin => `${code(origin.origin)} ${origin.protocol}`).join(', ')}`);
+    lines.push('');
+  }
+  if (page.images && page.images.offenders.length) {
+    lines.push(`**Images:** ${plural(page.images.count, 'image')} (${formatBytes(page.images.totalBytes)}), about ${formatBytes(page.images.potentialSavings)} could be saved`);
+    page.images.offenders.slice(0, 5).forEach(image => lines.push(`- ${formatBytes(image.savings)} from ${code(image.url)} (${image.format})`));
+    lines.push('');
+  }
+  if (page.coverage && page.coverage.files.length) {
+    const { scripts, stylesheets } = page.coverage;
+    lines.push(`**Unused code:** JavaScript ${scripts.unusedPercent}% of ${formatBytes(scripts.totalBytes)}, CSS ${stylesheets.unusedPercent}% of ${formatBytes(stylesheets.totalBytes)}`);
+    page.coverage.files.slice(0, 5).forEach(file => lines.push(`- ${formatBytes(file.wastedBytes)} wasted in ${file.inline ? `inline ${file.type}` : code(file.url)} (${file.unusedPercent}% unused)`));
+    lines.push('');
+  }
+  if (page.mainThread && page.mainThread.categories.length) {
+    const { totalTime, totalBlockingTime, longTaskCount, categories, scripts, longTasks } = page.mainThread;
+    lines.push(`**Main thread:** ${totalTime}ms (${categories.slice(0, 4).map(category => `${category.label} ${category.time}ms`).join(', ')}), ${plural(longTaskCount, 'long task')}, ${totalBlockingTime}ms blocking`);
+    scripts.slice(0, 5).forEach(script => lines.push(`- ${script.total}ms in ${code(script.url)} (${script.scriptEvaluation}ms evaluation, ${script.scriptParseCompile}ms parse & compile)`));
+    longTasks.slice(0, 3).forEach(task => lines.push(`- Long task at ${task.start}ms: ${task.duration}ms (${task.categoryLabel})${task.url ? ` in ${code(task.url)}` : ''}`));
+    lines.push('');
+  }
+  if (page.thirdParties && page.thirdParties.vendors.length) {
+    const { vendors, requests, bytes, mainThreadTime } = page.thirdParties;
+    lines.push(`**Third parties:** ${plural(vendors.length, 'vendor')}, ${plural(requests, 'request')}, ${formatBytes(bytes)}${mainThreadTime === null ? '' : `, ${mainThreadTime}ms main thread`}`);
+    vendors.slice(0, 5).forEach(vendor => {
+      const time = vendor.mainThreadTime === null ? '' : `, ${vendor.mainThreadTime}ms main thread`;
+      lines.push(`- ${escapeMarkdown(vendor.name)} (${vendor.categoryLabel}): ${plural(vendor.requests, 'request')}, ${formatBytes(vendor.bytes)}${time}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('#### Issues');
+  lines.push('');
+  if (page.findings.findings.length === 0) lines.push('No issues found.');
+  page.findings.findings.forEach(finding => lines.push(`- **${finding.impact.toUpperCase()}** ${escapeMarkdown(finding.issue)}`));
+  lines.push('');
+  lines.push('#### Fixes');
+  lines.push('');
+  page.findings.fixes.forEach((fix, i) => lines.push(`${i + 1}. **${escapeMarkdown(fix.action)}** (${fix.difficulty}): ${escapeMarkdown(fix.detail)}`));
+  lines.push('');
+  lines.push('</details>');
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Markdown report for pasting into PR comments and tickets: a summary table
+ * with each page's details collapsed
+ */
+function renderMarkdown(results) {
+  const lines = [];
+
+  lines.push(`## Speed Audit: ${results.score}/100`);
+  lines.push('');
+  lines.push(`\`${results.url}\` · ${results.timestamp}${results.throttling ? ` · ${results.throttling.label}` : ''}`);
+  lines.push('');
+  lines.push(`> ${escapeMarkdown(results.summary.recommendation)}`);
+  lines.push('');
+
+  lines.push(...markdownTable(
+    ['Page', 'Score', 'LCP', 'CLS', 'TBT', 'Weight', 'Issues'],
+    results.pages.map(page => [
+      escapeMarkdown(pageTitle(page)),
+      page.score,
+      formatValue(page.metrics.lcp, 'ms'),
+      formatValue(page.metrics.cls),
+      formatValue(page.metrics.tbt, 'ms'),
+      formatValue(page.metrics.totalBytes, 'bytes'),
+      page.findings.findings.length
+    ])
+  ));
+  lines.push('');
+
+  if (results.scoreBreakdown && results.scoreBreakdown.length) {
+    lines.push(...markdownTable(
+      ['Metric', 'Score', 'Weight', 'Points'],
+      results.scoreBreakdown.map(entry => [entry.label, entry.score, entry.weight, `+${entry.contribution}`])
+    ));
+    lines.push('');
+  }
+
+  if (results.budget) {
+    const { passed, total, failed, checks } = results.budget;
+    lines.push(`**Budget ${passed ? 'passed' : 'failed'}:** ${total - failed} of ${total} checks passed`);
+    checks.filter(check => !check.passed).forEach(check => {
+      const page = check.device ? `${check.page} (${check.device})` : check.page;
+      lines.push(`- ❌ ${escapeMarkdown(page)} ${check.metric}: ${check.actual === null ? 'n/a' : check.actual} (budget ${check.comparison} ${check.limit})`);
+    });
+    lines.push('');
+  }
+
+  results.pages.forEach(page => lines.push(...markdownPage(page)));
+  return lines.join('\n');
+}
+
+module.exports = { escapeHtml, escapeMarkdown, renderHtml, renderMarkdown };
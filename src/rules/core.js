@@ -0,0 +1,365 @@
+/**
+ * Core Rules
+ * Built-in checks on Core Web Vitals, page weight, requests and forms
+ */
+
+const { formatBytes } = require('../network');
+const { seconds, megabytes, resourceUrl, resourceName } = require('./format');
+
+/**
+ * "; longest tasks: 620ms in vendor.js, 310ms (Style & layout)"
+ */
+function describeLongTasks(mainThread, pageUrl) {
+  if (!mainThread || mainThread.longTasks.length === 0) return '';
+  const tasks = mainThread.longTasks.slice(0, 3).map(task => {
+    if (!task.url) return `${task.duration}ms (${task.categoryLabel})`;
+    return `${task.duration}ms in ${task.url === pageUrl ? 'inline scripts' : resourceName(task.url)}`;
+  });
+  return `; longest task${tasks.length === 1 ? '' : 's'}: ${tasks.join(', ')}`;
+}
+
+/**
+ * Speed up the LCP element: preload its image, or clear the render-blocking
+ * files in front of its text
+ */
+function lcpFix({ lcpElement, renderBlocking, criticalChain }) {
+  const blockers = renderBlocking.filter(resource => resource.blockingTime > 0).slice(0, 3);
+  const names = type => blockers.filter(resource => (resource.type === 'stylesheet') === (type === 'stylesheet')).map(resource => resourceName(resource.url));
+  const remedies = [
+    names('stylesheet').length ? `inline the critical CSS from ${names('stylesheet').join(', ')}` : null,
+    names('script').length ? `defer ${names('script').join(', ')}` : null
+  ].filter(Boolean);
+  const blockerText = blockers.length
+    ? `Rendering waits for ${blockers.map(resource => resourceName(resource.url)).join(', ')}: ${remedies.join(' and ')}`
+    : '';
+  const element = lcpElement && lcpElement.selector ? `The LCP element is ${lcpElement.selector}` : 'The LCP element';
+
+  if (lcpElement && lcpElement.url && !lcpElement.url.startsWith('data:')) {
+    const chain = criticalChain ? criticalChain.requests : [];
+    const position = chain.findIndex(request => request.url === lcpElement.url);
+    const discoveredBy = position > 1 ? chain[position - 1].url : null;
+    return {
+      action: `Load ${resourceName(lcpElement.url)} sooner`,
+      detail: `${element}, showing ${resourceUrl(lcpElement.url)}${discoveredBy ? `, which is only requested once ${resourceName(discoveredBy)} has loaded` : ''}. Add <link rel="preload" as="image" href="${resourceUrl(lcpElement.url)}" fetchpriority="high"> to the <head>, don't lazy-load it, and serve it at its displayed size${blockerText ? `. ${blockerText}` : ''}`,
+      difficulty: "easy",
+      priority: 1
+    };
+  }
+  if (lcpElement && lcpElement.selector) {
+    return {
+      action: `Paint ${lcpElement.selector} sooner`,
+      detail: `${element}, which is text. ${blockerText || 'Render it in the server HTML instead of with JavaScript'}. Give its web font font-display: swap`,
+      difficulty: "medium",
+      priority: 1
+    };
+  }
+  if (blockers.length) {
+    return {
+      action: "Remove render-blocking resources in front of the main content",
+      detail: blockerText,
+      difficulty: "medium",
+      priority: 1
+    };
+  }
+  return {
+    action: "Implement critical resource prioritization",
+    detail: "Load essential content first, defer everything else",
+    difficulty: "medium",
+    priority: 1
+  };
+}
+
+module.exports = [
+  {
+    id: 'largest-contentful-paint',
+    category: 'performance',
+    metrics: ['lcp'],
+    thresholds: { critical: 4000, high: 2500 },
+    check(data, thresholds) {
+      const { lcp } = data.metrics;
+      const finding = {
+        metric: `${seconds(lcp)} LCP`,
+        threshold: `Target: <${seconds(thresholds.high)}`
+      };
+      if (lcp > thresholds.critical) {
+        return [{
+          ...finding,
+          issue: `Main content takes ${seconds(lcp)} to appear on mobile - users expect under ${seconds(thresholds.high)}`,
+          impact: "critical",
+          fix: lcpFix(data)
+        }];
+      }
+      if (lcp > thresholds.high) {
+        return [{
+          ...finding,
+          issue: `Main content appears after ${seconds(lcp)} - could be faster on mobile`,
+          impact: "high"
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'first-contentful-paint',
+    category: 'performance',
+    metrics: ['fcp'],
+    thresholds: { high: 3000, target: 1800 },
+    check({ metrics: { fcp } }, thresholds) {
+      if (fcp <= thresholds.high) return [];
+      return [{
+        issue: `Nothing is painted for ${seconds(fcp)} - users see a blank screen`,
+        impact: "high",
+        metric: `${seconds(fcp)} FCP`,
+        threshold: `Target: <${seconds(thresholds.target)}`
+      }];
+    }
+  },
+
+  {
+    id: 'server-response-time',
+    category: 'performance',
+    metrics: ['ttfb'],
+    thresholds: { high: 1800, medium: 800 },
+    check({ metrics: { ttfb } }, thresholds) {
+      const finding = {
+        metric: `${ttfb}ms TTFB`,
+        threshold: `Target: <${thresholds.medium}ms`
+      };
+      if (ttfb > thresholds.high) {
+        return [{
+          ...finding,
+          issue: `Server takes ${ttfb}ms to start responding`,
+          impact: "high",
+          fix: {
+            action: "Reduce server response time",
+            detail: "Cache rendered HTML, serve from a CDN edge, and profile slow backend queries",
+            difficulty: "medium",
+            priority: 1
+          }
+        }];
+      }
+      if (ttfb > thresholds.medium) {
+        return [{
+          ...finding,
+          issue: `Server response time of ${ttfb}ms delays everything else`,
+          impact: "medium"
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'layout-shift',
+    category: 'performance',
+    metrics: ['cls'],
+    thresholds: { high: 0.25, medium: 0.1 },
+    check({ metrics: { cls } }, thresholds) {
+      const finding = {
+        metric: `${cls} CLS`,
+        threshold: `Target: <${thresholds.medium}`
+      };
+      if (cls > thresholds.high) {
+        return [{
+          ...finding,
+          issue: `Layout shifts heavily while loading (CLS ${cls}) - users mis-tap on moving content`,
+          impact: "high",
+          fix: {
+            action: "Reserve space for late-loading content",
+            detail: "Set width/height on images and embeds, avoid inserting banners above existing content, use font-display: optional",
+            difficulty: "easy",
+            priority: 1
+          }
+        }];
+      }
+      if (cls > thresholds.medium) {
+        return [{
+          ...finding,
+          issue: `Noticeable layout shifts while loading (CLS ${cls})`,
+          impact: "medium"
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'main-thread-blocking',
+    category: 'performance',
+    metrics: ['tbt'],
+    thresholds: { high: 600, medium: 200 },
+    check({ url, metrics: { tbt }, mainThread }, thresholds) {
+      const longTasks = describeLongTasks(mainThread, url);
+      const scripts = mainThread
+        ? [...new Set(mainThread.longTasks.filter(task => task.url).map(task => task.url === url ? 'inline scripts' : resourceName(task.url)))].slice(0, 3)
+        : [];
+      const finding = {
+        metric: `${tbt}ms TBT`,
+        threshold: `Target: <${thresholds.medium}ms`
+      };
+      if (tbt > thresholds.high) {
+        return [{
+          ...finding,
+          issue: `Main thread is blocked for ${tbt}ms - the page feels frozen to taps${longTasks}`,
+          impact: "high",
+          fix: {
+            action: "Break up long JavaScript tasks",
+            detail: `${scripts.length ? `Start with ${scripts.join(', ')}: d` : 'D'}efer non-critical scripts, split heavy work with setTimeout/scheduler.yield, move work to web workers`,
+            difficulty: "medium",
+            priority: 2
+          }
+        }];
+      }
+      if (tbt > thresholds.medium) {
+        return [{
+          ...finding,
+          issue: `Main thread is blocked for ${tbt}ms while loading${longTasks}`,
+          impact: "medium"
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'large-resource',
+    category: 'resources',
+    metrics: [],
+    thresholds: { maxBytes: 1000000 },
+    check({ largestResource, images, coverage }, thresholds) {
+      if (!largestResource || largestResource.transferSize <= thresholds.maxBytes) return [];
+      // Analyzed images and scripts get specific advice from the image and unused code rules
+      if (largestResource.type === 'image' && images) return [];
+      if (largestResource.type === 'script' && coverage) return [];
+
+      const size = formatBytes(largestResource.transferSize);
+      const fixes = {
+        image: {
+          action: "Optimize and compress the large image",
+          detail: "Use modern formats (WebP/AVIF), resize for mobile screens, implement lazy loading",
+          difficulty: "easy",
+          priority: 1
+        },
+        script: {
+          action: "Split the large JavaScript bundle",
+          detail: "Use code splitting, tree shaking, and load non-critical code after page render",
+          difficulty: "medium",
+          priority: 2
+        }
+      };
+      return [{
+        issue: `Largest resource is ${size} - too heavy for mobile connections`,
+        impact: "high",
+        metric: `${size} file`,
+        threshold: `Target: <${megabytes(thresholds.maxBytes)}`,
+        fix: fixes[largestResource.type]
+      }];
+    }
+  },
+
+  {
+    id: 'request-count',
+    category: 'resources',
+    metrics: ['totalRequests'],
+    thresholds: { high: 100, medium: 50, target: 30 },
+    check({ metrics: { totalRequests } }, thresholds) {
+      if (totalRequests > thresholds.high) {
+        return [{
+          issue: `${totalRequests} HTTP requests slow down mobile loading`,
+          impact: "high",
+          metric: `${totalRequests} requests`,
+          threshold: `Target: <${thresholds.medium} requests`,
+          fix: {
+            action: "Bundle and minimize HTTP requests",
+            detail: "Combine CSS/JS files, use CSS sprites for icons, implement resource bundling",
+            difficulty: "medium",
+            priority: 2
+          }
+        }];
+      }
+      if (totalRequests > thresholds.medium) {
+        return [{
+          issue: `${totalRequests} requests could be optimized for mobile`,
+          impact: "medium",
+          metric: `${totalRequests} requests`,
+          threshold: `Target: <${thresholds.target} requests`
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'page-weight',
+    category: 'resources',
+    metrics: ['totalBytes'],
+    thresholds: { high: 5000000, target: 3000000 },
+    check({ metrics: { totalBytes, bytesByType } }, thresholds) {
+      if (totalBytes <= thresholds.high) return [];
+
+      const totalSize = formatBytes(totalBytes);
+      const heaviest = Object.entries(bytesByType || {})
+        .filter(([, bytes]) => bytes > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2)
+        .map(([type, bytes]) => `${type} ${formatBytes(bytes)}`);
+      return [{
+        issue: `Total page weight is ${totalSize} - too heavy for mobile users${heaviest.length ? ` (${heaviest.join(', ')})` : ''}`,
+        impact: "high",
+        metric: `${totalSize} total`,
+        threshold: `Target: <${megabytes(thresholds.target)}`,
+        fix: {
+          action: "Reduce total page weight",
+          detail: "Compress images, minify CSS/JS, remove unused code, use modern formats",
+          difficulty: "medium",
+          priority: 2
+        }
+      }];
+    }
+  },
+
+  {
+    id: 'form-autocomplete',
+    category: 'usability',
+    metrics: [],
+    thresholds: {},
+    check({ formIssues }) {
+      if (!formIssues) return [];
+      return [{
+        issue: "Forms not optimized for mobile users",
+        impact: "medium",
+        metric: "Missing mobile optimization",
+        threshold: "Target: Full mobile optimization",
+        fix: {
+          action: "Optimize forms for mobile",
+          detail: "Add autocomplete attributes, proper input types, clear labels, and touch-friendly sizing",
+          difficulty: "easy",
+          priority: 3
+        }
+      }];
+    }
+  },
+
+  {
+    id: 'image-count',
+    category: 'resources',
+    metrics: ['images'],
+    thresholds: { medium: 30, target: 20 },
+    check({ metrics: { images } }, thresholds) {
+      if (images <= thresholds.medium) return [];
+      return [{
+        issue: `${images} images increase page load time on mobile`,
+        impact: "medium",
+        metric: `${images} images`,
+        threshold: `Target: <${thresholds.target} images`,
+        fix: {
+          action: "Implement image lazy loading and optimization",
+          detail: "Load images only when needed, compress all images, use modern formats",
+          difficulty: "easy",
+          priority: 3
+        }
+      }];
+    }
+  }
+];
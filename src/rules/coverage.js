@@ -0,0 +1,64 @@
+/**
+ * Unused Code Rules
+ * Scripts and stylesheets whose code went unused during load, ranked by wasted bytes
+ */
+
+const { formatBytes } = require('../network');
+const { createPartyClassifier } = require('../third-party');
+const { resourceUrl, resourceName } = require('./format');
+
+/**
+ * Split, defer or purge advice for one file
+ */
+function unusedCodeFix(file, isFirstParty) {
+  const name = file.inline ? 'inline code' : resourceName(file.url);
+  const share = `${file.unusedPercent}% (${formatBytes(file.unusedBytes)})`;
+
+  if (file.type === 'stylesheet') {
+    return {
+      action: file.inline ? 'Trim unused inline CSS' : `Remove unused CSS from ${name}`,
+      detail: `${share} of ${file.inline ? 'the inline styles' : resourceUrl(file.url)} matches nothing on this page. Purge unused selectors at build time (e.g. PurgeCSS) or split styles per page`,
+      difficulty: "medium",
+      priority: 2
+    };
+  }
+
+  if (!isFirstParty(file.url)) {
+    return {
+      action: `Defer or remove ${name}`,
+      detail: `${share} of ${resourceUrl(file.url)} does not run during load. Load it on interaction or once the page is idle, or drop it if nothing depends on it`,
+      difficulty: "easy",
+      priority: 2
+    };
+  }
+  return {
+    action: file.inline ? 'Move unused inline JavaScript out of the page' : `Code-split ${name}`,
+    detail: `${share} of ${file.inline ? 'the inline scripts' : resourceUrl(file.url)} does not run during load. Move it behind dynamic import() for the routes and interactions that need it, and tree-shake unused exports`,
+    difficulty: "medium",
+    priority: 2
+  };
+}
+
+module.exports = [
+  {
+    id: 'unused-code',
+    category: 'unused-code',
+    metrics: ['unusedJsBytes', 'unusedCssBytes'],
+    thresholds: { minWastedBytes: 20000, high: 150000 },
+    check({ url, coverage, thirdParties }, thresholds) {
+      if (!coverage) return [];
+      const isFirstParty = createPartyClassifier(url, thirdParties ? thirdParties.firstPartyDomains : []);
+      // Files are already ranked by wasted bytes
+      return coverage.files
+        .filter(file => file.wastedBytes >= thresholds.minWastedBytes)
+        .map(file => ({
+          issue: `${file.unusedPercent}% of ${file.inline ? `inline ${file.type === 'script' ? 'JavaScript' : 'CSS'}` : resourceUrl(file.url)} is unused during load (${formatBytes(file.wastedBytes)} wasted)`,
+          impact: file.wastedBytes > thresholds.high ? "high" : "medium",
+          metric: `${formatBytes(file.usedBytes)} of ${formatBytes(file.totalBytes)} used`,
+          threshold: `Target: <${formatBytes(thresholds.minWastedBytes)} unused per file`,
+          url: file.url,
+          fix: unusedCodeFix(file, isFirstParty)
+        }));
+    }
+  }
+];
@@ -0,0 +1,101 @@
+/**
+ * Critical Path Rules
+ * Render-blocking <head> resources and deep critical request chains, with fixes naming the files
+ */
+
+const { createPartyClassifier } = require('../third-party');
+const { seconds, resourceUrl, resourceName } = require('./format');
+
+// Values for <link rel="preload" as="...">
+const PRELOAD_AS = { stylesheet: 'style', script: 'script', font: 'font', document: 'document' };
+
+const preloadTag = ({ url, type }) => `<link rel="preload" href="${resourceUrl(url)}" as="${PRELOAD_AS[type] || 'fetch'}"${type === 'font' ? ' crossorigin' : ''}>`;
+
+/**
+ * The targeted fix for one blocker: preload it when it is discovered late,
+ * otherwise inline critical CSS or defer the script
+ */
+function blockerFix(resource, isFirstParty) {
+  const name = resourceName(resource.url);
+  const url = resourceUrl(resource.url);
+
+  if (resource.initiator) {
+    return {
+      action: `Preload ${name}`,
+      detail: `${name} is only requested once ${resourceName(resource.initiator)} has loaded. Add ${preloadTag(resource)} to the <head>${resource.type === 'stylesheet' ? ', or replace the @import with a <link> tag' : ''}`,
+      difficulty: "easy",
+      priority: 1
+    };
+  }
+  if (resource.type === 'stylesheet') {
+    return {
+      action: `Inline critical CSS and load ${name} asynchronously`,
+      detail: `Inline the rules above-the-fold content needs in a <style> tag, then load ${url} with <link rel="preload" as="style" onload="this.rel='stylesheet'">`,
+      difficulty: "medium",
+      priority: 2
+    };
+  }
+
+  return !isFirstParty(resource.url)
+    ? {
+      action: `Load ${name} with async`,
+      detail: `Change <script src="${url}"> to <script async src="${url}">, or load it after the page is interactive`,
+      difficulty: "easy",
+      priority: 1
+    }
+    : {
+      action: `Defer ${name}`,
+      detail: `Add defer to <script src="${url}"> (or move it to the end of <body>) so parsing and first paint don't wait for it`,
+      difficulty: "easy",
+      priority: 1
+    };
+}
+
+module.exports = [
+  {
+    id: 'render-blocking-resources',
+    category: 'performance',
+    metrics: ['renderBlockingTime'],
+    thresholds: { minTime: 50, high: 500 },
+    check({ url, renderBlocking, thirdParties }, thresholds) {
+      const isFirstParty = createPartyClassifier(url, thirdParties ? thirdParties.firstPartyDomains : []);
+      return renderBlocking
+        .filter(resource => resource.blockingTime >= thresholds.minTime)
+        .map(resource => ({
+          issue: `Render-blocking ${resource.type} ${resourceUrl(resource.url)} delays first paint by ${resource.blockingTime}ms`,
+          impact: resource.blockingTime > thresholds.high ? "high" : "medium",
+          metric: `${resource.blockingTime}ms blocking`,
+          threshold: `Target: <${thresholds.minTime}ms per resource`,
+          url: resource.url,
+          fix: blockerFix(resource, isFirstParty)
+        }));
+    }
+  },
+
+  {
+    id: 'critical-request-chains',
+    category: 'performance',
+    metrics: ['criticalChainDepth', 'criticalChainDuration'],
+    thresholds: { maxDepth: 3, high: 3000 },
+    check({ criticalChain }, thresholds) {
+      if (!criticalChain || criticalChain.depth <= thresholds.maxDepth) return [];
+
+      const path = criticalChain.requests.map(request => resourceName(request.url)).join(' → ');
+      // Preloading the deepest request lets it start with the HTML instead of at the end of the chain
+      const last = criticalChain.requests[criticalChain.requests.length - 1];
+      const previous = criticalChain.requests[criticalChain.requests.length - 2];
+      return [{
+        issue: `Critical request chain is ${criticalChain.depth} requests deep and takes ${seconds(criticalChain.duration)}: ${path}`,
+        impact: criticalChain.duration > thresholds.high ? "high" : "medium",
+        metric: `${criticalChain.depth} requests, ${seconds(criticalChain.duration)}`,
+        threshold: `Target: <=${thresholds.maxDepth} requests`,
+        fix: {
+          action: `Preload ${resourceName(last.url)}`,
+          detail: `It waits for ${resourceName(previous.url)} before it is requested. Add ${preloadTag(last)} to the <head> so it is fetched alongside the HTML`,
+          difficulty: "easy",
+          priority: 2
+        }
+      }];
+    }
+  }
+];
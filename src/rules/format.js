@@ -0,0 +1,35 @@
+/**
+ * Rule Formatting Helpers
+ * Shared wording for metric values and resource names in findings
+ */
+
+const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+
+// Byte thresholds are round decimal numbers, so show them as such
+const megabytes = bytes => `${Number((bytes / 1000000).toFixed(1))}MB`;
+
+/**
+ * URL without its query string or fragment, for naming a resource in a finding
+ */
+function resourceUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Last path segment of a URL (or its host), for short labels like "app.css"
+ */
+function resourceName(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.split('/').filter(Boolean).pop() || parsed.host;
+  } catch {
+    return url;
+  }
+}
+
+module.exports = { seconds, megabytes, resourceUrl, resourceName };
@@ -0,0 +1,164 @@
+/**
+ * Header Rules
+ * Caching, compression, HTTP protocol, redirect and preconnect checks, naming the URLs and origins involved
+ */
+
+const { formatBytes } = require('../network');
+const { seconds, resourceUrl, resourceName } = require('./format');
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Cache lifetime in the largest whole unit, e.g. "1h" or "2d"
+ */
+function duration(ttl) {
+  if (ttl >= 86400) return `${Math.floor(ttl / 86400)}d`;
+  if (ttl >= 3600) return `${Math.floor(ttl / 3600)}h`;
+  if (ttl >= 60) return `${Math.floor(ttl / 60)}m`;
+  return `${ttl}s`;
+}
+
+/**
+ * "max-age=3600", "no-store" or "no Cache-Control" for one asset
+ */
+function describeCaching(asset) {
+  if (!asset.cacheControl) return asset.ttl === null ? 'no Cache-Control' : `expires in ${duration(asset.ttl)}`;
+  return asset.cacheControl;
+}
+
+const assetList = assets => assets.slice(0, 4).map(asset => `${resourceName(asset.url)} (${describeCaching(asset)})`).join(', ') + (assets.length > 4 ? ` and ${assets.length - 4} more` : '');
+
+const nameList = urls => urls.slice(0, 3).map(resourceName).join(', ') + (urls.length > 3 ? ` and ${urls.length - 3} more` : '');
+
+module.exports = [
+  {
+    id: 'cache-policy',
+    category: 'network',
+    metrics: ['weakCacheAssets'],
+    thresholds: { high: 10 },
+    check({ headers }, thresholds) {
+      if (!headers) return [];
+      const origins = new Map();
+      for (const asset of headers.caching) {
+        if (!origins.has(asset.origin)) origins.set(asset.origin, []);
+        origins.get(asset.origin).push(asset);
+      }
+
+      return [...origins.entries()].map(([origin, assets]) => {
+        const unvalidated = assets.filter(asset => !asset.validator);
+        return {
+          issue: `${plural(assets.length, 'static asset')} from ${origin} can't be reused on repeat visits: ${assetList(assets)}`,
+          impact: assets.length > thresholds.high ? "high" : "medium",
+          metric: `${plural(assets.length, 'asset')} cached <7d`,
+          threshold: "Target: max-age of a year for versioned files",
+          url: origin,
+          fix: {
+            action: `Send long-lived Cache-Control headers from ${new URL(origin).host}`,
+            detail: `Put a content hash in the file names and serve them with Cache-Control: public, max-age=31536000, immutable${unvalidated.length ? `. Also send an ETag or Last-Modified for ${nameList(unvalidated.map(asset => asset.url))} so expired copies revalidate with a 304 instead of downloading again` : ''}`,
+            difficulty: "easy",
+            priority: 2
+          }
+        };
+      });
+    }
+  },
+
+  {
+    id: 'text-compression',
+    category: 'network',
+    metrics: ['compressionSavings'],
+    thresholds: { minSavings: 2000, high: 100000 },
+    check({ headers }, thresholds) {
+      if (!headers) return [];
+      return headers.compression
+        .filter(file => file.savings >= thresholds.minSavings)
+        .map(file => ({
+          issue: `${resourceUrl(file.url)} is sent uncompressed: ${formatBytes(file.bytes)}, about ${formatBytes(file.gzipBytes)} with gzip`,
+          impact: file.savings > thresholds.high ? "high" : "medium",
+          metric: `${formatBytes(file.savings)} savings`,
+          threshold: "Target: br or gzip on text responses",
+          url: file.url,
+          fix: {
+            action: `Enable Brotli or gzip for ${resourceName(file.url)}`,
+            detail: `Serve ${resourceUrl(file.url)} with Content-Encoding: br (or gzip). Turn compression on for ${file.mimeType} and other text types (HTML, CSS, JavaScript, JSON, SVG) in your server or CDN, or precompress files at build time`,
+            difficulty: "easy",
+            priority: 1
+          }
+        }));
+    }
+  },
+
+  {
+    id: 'http-protocol',
+    category: 'network',
+    metrics: ['http1Origins'],
+    thresholds: { minRequests: 3 },
+    check({ headers }, thresholds) {
+      if (!headers) return [];
+      return headers.protocols
+        .filter(origin => origin.firstParty && /^http\/1/i.test(origin.protocol) && origin.requests >= thresholds.minRequests)
+        .map(origin => ({
+          issue: `${origin.origin} serves ${plural(origin.requests, 'request')} over ${origin.protocol.toUpperCase()}, which loads only a few files at a time per connection`,
+          impact: "medium",
+          metric: `${origin.protocol.toUpperCase()}, ${plural(origin.requests, 'request')}`,
+          threshold: "Target: HTTP/2 or HTTP/3",
+          url: origin.origin,
+          fix: {
+            action: `Serve ${new URL(origin.origin).host} over HTTP/2 or HTTP/3`,
+            detail: "Enable HTTP/2 (and HTTP/3 where available) on the server, load balancer or CDN in front of it. HTTP/2 needs HTTPS",
+            difficulty: "medium",
+            priority: 2
+          }
+        }));
+    }
+  },
+
+  {
+    id: 'document-redirects',
+    category: 'network',
+    metrics: ['documentRedirects'],
+    thresholds: { high: 2 },
+    check({ headers }, thresholds) {
+      if (!headers || headers.redirects.hops.length === 0) return [];
+      const { hops, finalUrl, time } = headers.redirects;
+      const chain = [...hops.map(hop => `${hop.url} (${hop.status})`), finalUrl].join(' → ');
+
+      return [{
+        issue: `The page redirects ${hops.length === 1 ? 'once' : `${hops.length} times`} before loading, adding ${seconds(time)}: ${chain}`,
+        impact: hops.length >= thresholds.high ? "high" : "medium",
+        metric: `${plural(hops.length, 'redirect')}, ${time}ms`,
+        threshold: "Target: no redirects",
+        fix: {
+          action: `Link directly to ${finalUrl}`,
+          detail: `Point links, ads and canonical URLs at the final address${hops.some(hop => hop.url.startsWith('http:')) ? ', and add the site to the HSTS preload list so browsers go straight to HTTPS' : ''}. Where a redirect must stay, make it a single hop`,
+          difficulty: "easy",
+          priority: 1
+        }
+      }];
+    }
+  },
+
+  {
+    id: 'preconnect',
+    category: 'network',
+    metrics: ['missingPreconnects'],
+    thresholds: { maxOrigins: 3 },
+    check({ headers }, thresholds) {
+      if (!headers) return [];
+      // Preconnecting to many origins competes with the requests that matter, so suggest the earliest few
+      return headers.preconnect.slice(0, thresholds.maxOrigins).map(origin => ({
+        issue: `${origin.origin} is needed before first paint but gets no preconnect hint (${nameList(origin.urls)})`,
+        impact: "medium",
+        metric: `First request at ${origin.start}ms`,
+        threshold: "Target: preconnect to critical origins",
+        url: origin.origin,
+        fix: {
+          action: `Preconnect to ${new URL(origin.origin).host}`,
+          detail: `Add <link rel="preconnect" href="${origin.origin}"${origin.crossorigin ? ' crossorigin' : ''}> to the <head>${origin.dnsPrefetch ? ' (dns-prefetch only resolves DNS; preconnect also opens the connection)' : ''}, or self-host ${nameList(origin.urls)}`,
+          difficulty: "easy",
+          priority: 2
+        }
+      }));
+    }
+  }
+];
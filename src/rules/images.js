@@ -0,0 +1,125 @@
+/**
+ * Image Rules
+ * Per-image resize and format savings, offscreen images without lazy loading, and unsized images
+ */
+
+const { formatBytes } = require('../network');
+const { resourceUrl, resourceName } = require('./format');
+
+const dimensions = ({ width, height }) => `${width}×${height}`;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * What is wrong with an image, e.g. "2400×1600 shown at 375×250 on a 3x screen; JPEG"
+ */
+function describeImage(image) {
+  const parts = [];
+  if (image.issues.includes('oversized')) {
+    parts.push(`${dimensions(image.intrinsic)} shown at ${dimensions(image.rendered)} on a ${image.dpr}x screen`);
+  }
+  if (image.issues.includes('legacy-format')) {
+    parts.push(`${image.format.toUpperCase()} with no WebP/AVIF version served`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Resize and/or re-encode advice for one image
+ */
+function imageFix(image) {
+  const name = resourceName(image.url);
+  const oversized = image.issues.includes('oversized');
+  const legacy = image.issues.includes('legacy-format');
+
+  if (oversized && legacy) {
+    return {
+      action: `Resize ${name} to ${dimensions(image.target)} and serve it as WebP or AVIF`,
+      detail: `Export ${resourceUrl(image.url)} at the size it is displayed, offer larger sizes through srcset, and serve WebP/AVIF with <picture> or Accept-based negotiation. Saves about ${formatBytes(image.savings)}`,
+      difficulty: "easy",
+      priority: 1
+    };
+  }
+  if (oversized) {
+    return {
+      action: `Resize ${name} to ${dimensions(image.target)}`,
+      detail: `${resourceUrl(image.url)} is ${dimensions(image.intrinsic)} but only ${dimensions(image.target)} device pixels are shown. Use srcset/sizes so each screen gets a matching file. Saves about ${formatBytes(image.savings)}`,
+      difficulty: "easy",
+      priority: 1
+    };
+  }
+  return {
+    action: `Serve ${name} as WebP or AVIF`,
+    detail: `Convert ${resourceUrl(image.url)} and serve it with <picture><source type="image/avif"><source type="image/webp"> or let your image CDN negotiate on the Accept header. Saves about ${formatBytes(image.savings)}`,
+    difficulty: "easy",
+    priority: 2
+  };
+}
+
+const nameList = images => images.slice(0, 3).map(image => resourceName(image.url)).join(', ') + (images.length > 3 ? ` and ${images.length - 3} more` : '');
+
+module.exports = [
+  {
+    id: 'image-savings',
+    category: 'images',
+    metrics: ['imageSavings'],
+    thresholds: { minSavings: 10000, high: 200000 },
+    check({ images }, thresholds) {
+      if (!images) return [];
+      return images.offenders
+        .filter(image => image.savings >= thresholds.minSavings)
+        .map(image => ({
+          issue: `${resourceUrl(image.url)} is ${formatBytes(image.bytes)} and could be ${formatBytes(image.savings)} smaller (${describeImage(image)})`,
+          impact: image.savings > thresholds.high ? "high" : "medium",
+          metric: `${formatBytes(image.savings)} savings`,
+          threshold: `Target: <${formatBytes(thresholds.minSavings)} wasted per image`,
+          url: image.url,
+          fix: imageFix(image)
+        }));
+    }
+  },
+
+  {
+    id: 'offscreen-images',
+    category: 'images',
+    metrics: ['offscreenImageBytes'],
+    thresholds: { minBytes: 50000 },
+    check({ images }, thresholds) {
+      if (!images || images.offscreenBytes < thresholds.minBytes) return [];
+      return [{
+        issue: `${formatBytes(images.offscreenBytes)} of images below the first screen load eagerly: ${plural(images.offscreenCount, 'image')} (${nameList(images.offscreen)})`,
+        impact: "medium",
+        metric: `${formatBytes(images.offscreenBytes)} offscreen`,
+        threshold: `Target: <${formatBytes(thresholds.minBytes)} of eager offscreen images`,
+        fix: {
+          action: "Lazy-load offscreen images",
+          detail: `Add loading="lazy" to ${nameList(images.offscreen)} so they only download as the user scrolls towards them. Keep the LCP image eager`,
+          difficulty: "easy",
+          priority: 2
+        }
+      }];
+    }
+  },
+
+  {
+    id: 'unsized-images',
+    category: 'images',
+    metrics: ['unsizedImages'],
+    thresholds: { max: 0 },
+    check({ images }, thresholds) {
+      if (!images || images.unsizedCount <= thresholds.max) return [];
+      return [{
+        issue: `Content jumps as images load: ${plural(images.unsizedCount, 'image')} without width/height (${nameList(images.unsized)})`,
+        impact: "medium",
+        metric: `${plural(images.unsizedCount, 'unsized image')}`,
+        threshold: `Target: ${thresholds.max} unsized images`,
+        fix: {
+          action: "Set width and height on images",
+          detail: `Add width and height attributes (or a CSS aspect-ratio) to ${nameList(images.unsized)} so the browser reserves their space before they load`,
+          difficulty: "easy",
+          priority: 2
+        }
+      }];
+    }
+  }
+];
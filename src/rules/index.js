@@ -0,0 +1,149 @@
+/**
+ * Audit Rules
+ * Registry of checks that turn page metrics into findings and linked fixes
+ */
+
+const path = require('path');
+const coreRules = require('./core');
+const criticalPathRules = require('./critical-path');
+const imageRules = require('./images');
+const coverageRules = require('./coverage');
+const thirdPartyRules = require('./third-party');
+const mainThreadRules = require('./main-thread');
+const headerRules = require('./headers');
+
+const IMPACTS = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Check a rule's shape. Rules look like:
+ * { id, category, metrics: ['lcp'], thresholds: { high: 2500 }, check(data, thresholds) }
+ * where check returns a list of findings, each optionally carrying a `fix`.
+ */
+function validateRule(rule, source = 'built-in rules') {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Rules from ${source} must be objects`);
+  }
+  if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(rule.id)) {
+    throw new Error(`Rule ids from ${source} must be lowercase kebab-case strings, got "${rule.id}"`);
+  }
+  if (typeof rule.category !== 'string') {
+    throw new Error(`Rule "${rule.id}" needs a category`);
+  }
+  if (rule.metrics !== undefined && !Array.isArray(rule.metrics)) {
+    throw new Error(`Rule "${rule.id}" metrics must be a list of metric names`);
+  }
+  if (rule.thresholds !== undefined && (typeof rule.thresholds !== 'object' || Array.isArray(rule.thresholds))) {
+    throw new Error(`Rule "${rule.id}" thresholds must be an object`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new Error(`Rule "${rule.id}" needs a check function`);
+  }
+  return { metrics: [], thresholds: {}, ...rule };
+}
+
+/**
+ * Load a rule module: it exports a rule, a list of rules, or { rules: [...] }
+ */
+function loadRuleModule(modulePath) {
+  const resolved = path.resolve(modulePath);
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    throw new Error(`Could not load rule module ${resolved}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(exported) ? exported : Array.isArray(exported?.rules) ? exported.rules : [exported];
+  return rules.map(rule => validateRule(rule, resolved));
+}
+
+const BUILTIN_RULES = [...coreRules, ...criticalPathRules, ...imageRules, ...coverageRules, ...thirdPartyRules, ...mainThreadRules, ...headerRules].map(rule => validateRule(rule));
+
+/**
+ * Resolve the rules to run: built-ins plus any rule `modules`, minus the ids in
+ * `disable`, with `thresholds` overrides merged per rule id
+ */
+function resolveRules(options = {}) {
+  const { modules = [], disable = [], thresholds = {} } = options || {};
+  if (!Array.isArray(modules) || !Array.isArray(disable)) {
+    throw new Error('rules.modules and rules.disable must be lists');
+  }
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('rules.thresholds must be an object of rule ids to thresholds');
+  }
+
+  const rules = [...BUILTIN_RULES];
+  for (const rule of modules.flatMap(loadRuleModule)) {
+    if (rules.some(existing => existing.id === rule.id)) {
+      throw new Error(`Rule id "${rule.id}" is defined more than once`);
+    }
+    rules.push(rule);
+  }
+
+  const ids = rules.map(rule => rule.id);
+  for (const id of [...disable, ...Object.keys(thresholds)]) {
+    if (!ids.includes(id)) {
+      throw new Error(`Unknown rule "${id}". Available rules: ${ids.join(', ')}`);
+    }
+  }
+
+  return rules
+    .filter(rule => !disable.includes(rule.id))
+    .map(rule => {
+      const overrides = thresholds[rule.id] || {};
+      for (const [key, value] of Object.entries(overrides)) {
+        if (!(key in rule.thresholds)) {
+          throw new Error(`Unknown threshold "${key}" for rule "${rule.id}". Use one of: ${Object.keys(rule.thresholds).join(', ') || 'none'}`);
+        }
+        if (typeof value !== 'number') {
+          throw new Error(`Threshold "${key}" for rule "${rule.id}" must be a number`);
+        }
+      }
+      return { ...rule, thresholds: { ...rule.thresholds, ...overrides } };
+    });
+}
+
+/**
+ * Run every rule whose metrics are present and collect findings and fixes.
+ * Findings carry the rule id; fixes carry the id of the rule that suggested them.
+ */
+function runRules(rules, data) {
+  const findings = [];
+  const fixes = [];
+
+  for (const rule of rules) {
+    const measured = rule.metrics.every(metric => typeof data.metrics?.[metric] === 'number');
+    if (!measured) continue;
+
+    let results;
+    try {
+      results = rule.check(data, rule.thresholds) || [];
+    } catch (error) {
+      console.error(`[RULES] Rule ${rule.id} failed:`, error.message);
+      continue;
+    }
+
+    for (const { fix, ...finding } of results) {
+      findings.push({
+        id: rule.id,
+        ...finding,
+        impact: IMPACTS.includes(finding.impact) ? finding.impact : 'low',
+        category: finding.category || rule.category
+      });
+      if (fix) fixes.push({ ...fix, rule: rule.id });
+    }
+  }
+
+  // Sort fixes by priority
+  fixes.sort((a, b) => (a.priority || 99) - (b.priority || 99));
+
+  return { findings, fixes };
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  validateRule,
+  loadRuleModule,
+  resolveRules,
+  runRules
+};
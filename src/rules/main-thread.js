@@ -0,0 +1,140 @@
+/**
+ * Main-Thread Rules
+ * Main-thread time by kind of work and the first-party scripts that spend the most of it
+ */
+
+const { createPartyClassifier } = require('../third-party');
+const { seconds, resourceUrl, resourceName } = require('./format');
+
+// Share of a script's time spent parsing and compiling that points at its size
+// rather than at what it runs
+const PARSE_HEAVY_SHARE = 0.3;
+
+/**
+ * Short label for a script, with inline scripts named as such
+ */
+const scriptName = (url, pageUrl) => (url === pageUrl ? 'inline scripts' : resourceName(url));
+
+/**
+ * Slim down or break up one script, depending on where its time goes
+ */
+function scriptFix(script, pageUrl) {
+  const name = scriptName(script.url, pageUrl);
+  if (script.scriptParseCompile >= script.total * PARSE_HEAVY_SHARE) {
+    return {
+      action: `Ship less JavaScript in ${name}`,
+      detail: `${seconds(script.scriptParseCompile)} goes to parsing and compiling ${resourceUrl(script.url)}. Code-split it with dynamic import() so each route loads only what it runs, and drop unused dependencies`,
+      difficulty: "medium",
+      priority: 2
+    };
+  }
+  return {
+    action: `Break up the work in ${name}`,
+    detail: `Split long functions in ${resourceUrl(script.url)} with scheduler.yield() or setTimeout, defer work that isn't needed for first render, and move heavy computation to a Web Worker`,
+    difficulty: "medium",
+    priority: 2
+  };
+}
+
+/**
+ * What to do when one kind of work dominates the main thread
+ */
+function workFix(category, topScripts) {
+  const fixes = {
+    scriptEvaluation: {
+      action: "Reduce JavaScript execution",
+      detail: `${topScripts ? `Start with ${topScripts}: d` : 'D'}efer non-critical scripts, split long tasks, and move heavy work to a Web Worker`
+    },
+    scriptParseCompile: {
+      action: "Ship less JavaScript",
+      detail: `${topScripts ? `Start with ${topScripts}: c` : 'C'}ode-split bundles per route, remove unused dependencies, and serve modern builds without legacy polyfills`
+    },
+    styleLayout: {
+      action: "Reduce style and layout work",
+      detail: "Shrink the DOM, simplify selectors, and avoid reading layout (offsetHeight, getBoundingClientRect) right after changing styles in loops"
+    },
+    paintCompositeRender: {
+      action: "Reduce rendering and paint work",
+      detail: "Animate only transform and opacity, avoid large fixed or blurred layers, and serve images at their displayed size so they decode faster"
+    },
+    parseHtml: {
+      action: "Send less HTML",
+      detail: "Reduce DOM size, paginate or virtualize long lists, and render below-the-fold sections on demand"
+    },
+    garbageCollection: {
+      action: "Reduce memory churn",
+      detail: "Avoid allocating large temporary objects and arrays during load, and reuse buffers in hot loops"
+    }
+  };
+
+  return {
+    ...(fixes[category] || {
+      action: "Reduce main-thread work",
+      detail: "Defer non-critical scripts and keep the DOM small"
+    }),
+    difficulty: "medium",
+    priority: 2
+  };
+}
+
+module.exports = [
+  {
+    id: 'script-execution',
+    category: 'main-thread',
+    metrics: ['scriptTime'],
+    thresholds: { minTime: 500, high: 1500 },
+    check({ url, mainThread, thirdParties }, thresholds) {
+      if (!mainThread) return [];
+      // Third-party scripts are reported per vendor by the third-party rules
+      const isFirstParty = createPartyClassifier(url, thirdParties ? thirdParties.firstPartyDomains : []);
+
+      return mainThread.scripts
+        .filter(script => isFirstParty(script.url) && script.total >= thresholds.minTime)
+        .map(script => {
+          const longTasks = mainThread.longTasks.filter(task => task.url === script.url).length;
+          const parts = [
+            script.scriptEvaluation ? `${seconds(script.scriptEvaluation)} running` : null,
+            script.scriptParseCompile ? `${seconds(script.scriptParseCompile)} parsing and compiling` : null,
+            longTasks ? `${longTasks} long task${longTasks === 1 ? '' : 's'}` : null
+          ].filter(Boolean);
+
+          return {
+            issue: `${scriptName(script.url, url)} accounts for ${seconds(script.total)} of main-thread time${parts.length ? ` (${parts.join(', ')})` : ''}`,
+            impact: script.total > thresholds.high ? "high" : "medium",
+            metric: `${seconds(script.total)} main thread`,
+            threshold: `Target: <${seconds(thresholds.minTime)} per script`,
+            url: script.url,
+            fix: scriptFix(script, url)
+          };
+        });
+    }
+  },
+
+  {
+    id: 'main-thread-work',
+    category: 'main-thread',
+    metrics: ['mainThreadTime'],
+    thresholds: { high: 4000, medium: 2000 },
+    check({ url, metrics: { mainThreadTime }, mainThread }, thresholds) {
+      if (!mainThread || mainThreadTime <= thresholds.medium) return [];
+
+      const [top] = mainThread.categories;
+      const breakdown = mainThread.categories
+        .slice(0, 3)
+        .map(category => `${category.label} ${seconds(category.time)}`)
+        .join(', ');
+      const topScripts = mainThread.scripts
+        .slice(0, 3)
+        .map(script => scriptName(script.url, url))
+        .join(', ');
+
+      return [{
+        issue: `Main thread is busy for ${seconds(mainThreadTime)} during load: ${breakdown}`,
+        impact: mainThreadTime > thresholds.high ? "high" : "medium",
+        metric: `${seconds(mainThreadTime)} main-thread work`,
+        threshold: `Target: <${seconds(thresholds.medium)}`,
+        fix: workFix(top && top.id, topScripts)
+      }];
+    }
+  }
+];
@@ -0,0 +1,138 @@
+/**
+ * Third-Party Rules
+ * Third-party script counts and per-vendor main-thread cost, naming the vendors responsible
+ */
+
+const { formatBytes } = require('../network');
+
+/**
+ * "Google Tag Manager (Tag manager, 420ms main thread, 96KB)"
+ */
+function describeVendor(vendor) {
+  const cost = [
+    vendor.mainThreadTime ? `${vendor.mainThreadTime}ms main thread` : null,
+    formatBytes(vendor.bytes)
+  ].filter(Boolean).join(', ');
+  return `${vendor.name} (${vendor.categoryLabel}, ${cost})`;
+}
+
+/**
+ * The vendors that script the page, most expensive first
+ */
+const scriptVendors = thirdParties => (thirdParties ? thirdParties.vendors.filter(vendor => vendor.scripts > 0 || vendor.mainThreadTime) : []);
+
+/**
+ * What to do about one vendor, by its category
+ */
+function vendorFix(vendor) {
+  const { name } = vendor;
+  const fixes = {
+    'analytics': {
+      action: `Load ${name} after the page is interactive`,
+      detail: `Defer the ${name} snippet until after load or the first interaction, or send its events server-side`
+    },
+    'ads': {
+      action: `Lazy-load ${name} ad slots`,
+      detail: `Only request ${name} ads for slots near the viewport, and reserve their space so they don't shift content`
+    },
+    'chat': {
+      action: `Load the ${name} widget on demand`,
+      detail: `Show a lightweight chat button and load the ${name} script when it is clicked`
+    },
+    'tag-manager': {
+      action: `Audit the tags in ${name}`,
+      detail: `Remove unused tags, fire non-essential tags after load, and avoid custom HTML tags that inject more scripts`
+    },
+    'cdn': {
+      action: `Self-host the libraries loaded from ${name}`,
+      detail: `Bundle them with your own code to skip the extra connection, and include only the parts this page uses`
+    },
+    'video': {
+      action: `Replace ${name} embeds with a facade`,
+      detail: `Show a static thumbnail and load the ${name} player when it is clicked`
+    },
+    'social': {
+      action: `Replace ${name} widgets with a facade or plain links`,
+      detail: `Load the ${name} SDK only when the user interacts with the widget`
+    },
+    'maps': {
+      action: `Load ${name} when the map scrolls into view`,
+      detail: `Show a static map image first and load the interactive ${name} script on interaction or with an IntersectionObserver`
+    }
+  };
+
+  return {
+    ...(fixes[vendor.category] || {
+      action: `Defer or remove ${name}`,
+      detail: `Load ${name} with async/defer after first paint, or remove it if nothing depends on it (${vendor.hosts.join(', ')})`
+    }),
+    difficulty: "easy",
+    priority: 2
+  };
+}
+
+module.exports = [
+  {
+    id: 'third-party-scripts',
+    category: 'third-party',
+    metrics: ['thirdPartyScripts'],
+    thresholds: { high: 8, medium: 5, target: 3 },
+    check({ metrics: { thirdPartyScripts }, thirdParties }, thresholds) {
+      const vendors = scriptVendors(thirdParties);
+      const top = vendors.slice(0, 3);
+      const from = vendors.length ? ` from ${vendors.length} vendor${vendors.length === 1 ? '' : 's'}` : '';
+      const costliest = top.length ? `; most expensive: ${top.map(describeVendor).join(', ')}` : '';
+      const names = top.map(vendor => vendor.name).join(', ');
+
+      if (thirdPartyScripts > thresholds.high) {
+        return [{
+          issue: `${thirdPartyScripts} third-party scripts${from} slow down page loading${costliest}`,
+          impact: "high",
+          metric: `${thirdPartyScripts} external scripts`,
+          threshold: `Target: <${thresholds.medium} scripts`,
+          fix: {
+            action: "Audit and reduce third-party scripts",
+            detail: `${names ? `Start with ${names}: r` : 'R'}emove unnecessary tracking, defer analytics scripts, combine similar tools`,
+            difficulty: "easy",
+            priority: 2
+          }
+        }];
+      }
+      if (thirdPartyScripts > thresholds.medium) {
+        return [{
+          issue: `${thirdPartyScripts} third-party scripts${from} could be optimized${costliest}`,
+          impact: "medium",
+          metric: `${thirdPartyScripts} external scripts`,
+          threshold: `Target: <${thresholds.target} scripts`,
+          fix: {
+            action: "Defer non-critical third-party scripts",
+            detail: `Load ${names || 'analytics and tracking scripts'} after main content is visible`,
+            difficulty: "easy",
+            priority: 3
+          }
+        }];
+      }
+      return [];
+    }
+  },
+
+  {
+    id: 'third-party-main-thread',
+    category: 'third-party',
+    metrics: ['thirdPartyMainThreadTime'],
+    thresholds: { mainThreadTime: 250, blockingTime: 100, high: 250 },
+    check({ thirdParties }, thresholds) {
+      if (!thirdParties) return [];
+      return thirdParties.vendors
+        .filter(vendor => vendor.mainThreadTime >= thresholds.mainThreadTime || vendor.blockingTime >= thresholds.blockingTime)
+        .map(vendor => ({
+          issue: `${vendor.name} (${vendor.categoryLabel}) uses ${vendor.mainThreadTime}ms of main-thread time and blocks input for ${vendor.blockingTime}ms (${vendor.requests} request${vendor.requests === 1 ? '' : 's'}, ${formatBytes(vendor.bytes)})`,
+          impact: vendor.blockingTime > thresholds.high ? "high" : "medium",
+          metric: `${vendor.mainThreadTime}ms main thread`,
+          threshold: `Target: <${thresholds.mainThreadTime}ms per vendor`,
+          vendor: vendor.name,
+          fix: vendorFix(vendor)
+        }));
+    }
+  }
+];
@@ -0,0 +1,109 @@
+/**
+ * Multi-run Sampling
+ * Median, percentile and variance aggregation across repeated page loads
+ */
+
+const MAX_RUNS = 10;
+
+// Timing metrics that decide how noisy a set of runs was
+const VARIANCE_METRICS = ['lcp', 'fcp', 'tbt', 'loadEvent'];
+
+/**
+ * Validate the requested number of runs
+ */
+function resolveRuns(runs = 1) {
+  const value = Number(runs);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RUNS) {
+    throw new Error(`Runs must be a whole number between 1 and ${MAX_RUNS}`);
+  }
+  return value;
+}
+
+/**
+ * Linear-interpolated percentile of a list of numbers (p in 0-100)
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Median, p75, min/max and coefficient of variation for one metric
+ */
+function summarizeSamples(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const round = value => Number(value.toFixed(3));
+
+  return {
+    median: round(percentile(values, 50)),
+    p75: round(percentile(values, 75)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    cv: mean > 0 ? round(Math.sqrt(variance) / mean) : 0
+  };
+}
+
+/**
+ * Aggregate numeric metrics across runs, recursing into nested groups like bytesByType.
+ * Returns the median metrics and the full per-metric stats.
+ */
+function aggregateMetrics(metricsList) {
+  const median = {};
+  const stats = {};
+
+  for (const key of Object.keys(metricsList[0])) {
+    const values = metricsList.map(metrics => metrics[key]);
+
+    if (values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      stats[key] = summarizeSamples(values);
+      median[key] = stats[key].median;
+    } else if (values.every(value => value && typeof value === 'object' && !Array.isArray(value))) {
+      const nested = aggregateMetrics(values);
+      median[key] = nested.median;
+      stats[key] = nested.stats;
+    }
+  }
+
+  return { median, stats };
+}
+
+/**
+ * Classify run-to-run noise from the worst coefficient of variation among timing metrics
+ */
+function varianceLevel(stats) {
+  const cvs = VARIANCE_METRICS.filter(metric => stats[metric]).map(metric => stats[metric].cv);
+  const maxCv = cvs.length ? Math.max(...cvs) : 0;
+
+  let level = 'low';
+  if (maxCv >= 0.25) level = 'high';
+  else if (maxCv >= 0.1) level = 'medium';
+
+  return { level, maxCv };
+}
+
+/**
+ * Index of the run closest to the median of a metric (Lighthouse-style representative run)
+ */
+function representativeRun(metricsList, metric = 'lcp') {
+  const values = metricsList.map(metrics => metrics[metric] || 0);
+  const median = percentile(values, 50);
+  let best = 0;
+  values.forEach((value, index) => {
+    if (Math.abs(value - median) < Math.abs(values[best] - median)) best = index;
+  });
+  return best;
+}
+
+module.exports = {
+  MAX_RUNS,
+  resolveRuns,
+  percentile,
+  summarizeSamples,
+  aggregateMetrics,
+  varianceLevel,
+  representativeRun
+};
@@ -0,0 +1,150 @@
+/**
+ * Performance Scoring Model
+ * Weighted multi-metric score with Lighthouse-style log-normal sub-scores
+ */
+
+// Each curve scores 90 at p10 and 50 at the median
+const METRIC_CURVES = {
+  lcp: { label: 'Largest Contentful Paint', p10: 2500, median: 4000 },
+  fcp: { label: 'First Contentful Paint', p10: 1800, median: 3000 },
+  tbt: { label: 'Total Blocking Time', p10: 200, median: 600 },
+  cls: { label: 'Cumulative Layout Shift', p10: 0.1, median: 0.25 },
+  ttfb: { label: 'Server Response Time', p10: 800, median: 1800 },
+  totalRequests: { label: 'Request Count', p10: 50, median: 100 },
+  totalBytes: { label: 'Page Weight', p10: 3000000, median: 5000000 },
+  thirdPartyScripts: { label: 'Third-party Scripts', p10: 5, median: 8 }
+};
+
+const DEFAULT_WEIGHTS = {
+  lcp: 25,
+  tbt: 25,
+  cls: 15,
+  fcp: 10,
+  totalBytes: 10,
+  ttfb: 5,
+  totalRequests: 5,
+  thirdPartyScripts: 5
+};
+
+/**
+ * Error function approximation (Abramowitz and Stegun 7.1.26)
+ */
+function erf(x) {
+  const sign = Math.sign(x);
+  const abs = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * abs);
+  const y = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - y * Math.exp(-abs * abs));
+}
+
+/**
+ * Score a value against a log-normal curve (0-1)
+ */
+function logNormalScore({ p10, median }, value) {
+  if (value <= 0) return 1;
+
+  // erfc^-1(0.2), puts p10 at a score of 0.9
+  const INVERSE_ERFC_ONE_FIFTH = 0.9061938024368232;
+  const xLogRatio = Math.log(value / median);
+  const p10LogRatio = -Math.log(p10 / median);
+  const standardizedX = xLogRatio * INVERSE_ERFC_ONE_FIFTH / p10LogRatio;
+  const score = (1 - erf(standardizedX)) / 2;
+
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Merge caller weights over the defaults, dropping unknown metrics.
+ * null means no overrides.
+ */
+function resolveWeights(weights = {}) {
+  if (weights === null) weights = {};
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new Error('weights must be an object of metric names to numbers');
+  }
+
+  const resolved = { ...DEFAULT_WEIGHTS };
+  for (const [metric, weight] of Object.entries(weights)) {
+    if (!METRIC_CURVES[metric]) continue;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for ${metric}: ${weight}`);
+    }
+    resolved[metric] = weight;
+  }
+  return resolved;
+}
+
+/**
+ * Combine per-metric sub-scores into a weighted 0-100 score.
+ * Metrics without a value are left out and the remaining weights renormalized.
+ */
+function weightedScore(subScores, weights) {
+  const resolved = resolveWeights(weights);
+  const scored = Object.entries(resolved)
+    .filter(([metric, weight]) => weight > 0 && subScores[metric])
+    .map(([metric, weight]) => ({ metric, weight, ...subScores[metric] }));
+
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return { score: 0, breakdown: [] };
+
+  const breakdown = scored.map(entry => ({
+    metric: entry.metric,
+    label: METRIC_CURVES[entry.metric].label,
+    value: entry.value,
+    score: Math.round(entry.score * 100),
+    weight: entry.weight,
+    contribution: Number((entry.score * entry.weight / totalWeight * 100).toFixed(1))
+  }));
+
+  const score = Math.round(scored.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight * 100);
+
+  return { score, breakdown };
+}
+
+/**
+ * Score a single page from its metrics
+ */
+function scorePage(metrics, weights) {
+  const subScores = {};
+  for (const [metric, curve] of Object.entries(METRIC_CURVES)) {
+    const value = metrics[metric];
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+    subScores[metric] = { value, score: logNormalScore(curve, value) };
+  }
+  return weightedScore(subScores, weights);
+}
+
+/**
+ * Score a whole audit, averaging each metric's sub-score across pages
+ */
+function scoreAudit(pagesMetrics, weights) {
+  const totals = {};
+  for (const metrics of pagesMetrics) {
+    for (const [metric, curve] of Object.entries(METRIC_CURVES)) {
+      const value = metrics[metric];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      totals[metric] = totals[metric] || { value: 0, score: 0, count: 0 };
+      totals[metric].value += value;
+      totals[metric].score += logNormalScore(curve, value);
+      totals[metric].count++;
+    }
+  }
+
+  const subScores = {};
+  for (const [metric, total] of Object.entries(totals)) {
+    subScores[metric] = {
+      value: Number((total.value / total.count).toFixed(3)),
+      score: total.score / total.count
+    };
+  }
+  return weightedScore(subScores, weights);
+}
+
+module.exports = {
+  METRIC_CURVES,
+  DEFAULT_WEIGHTS,
+  logNormalScore,
+  resolveWeights,
+  scorePage,
+  scoreAudit
+};
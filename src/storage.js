@@ -0,0 +1,236 @@
+/**
+ * Audit History Storage
+ * Saves runAudit results by site and timestamp in JSON files or SQLite
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DRIVERS = ['json', 'sqlite'];
+
+// Page metrics kept in the summary so trends never load full results
+const TREND_METRICS = ['lcp', 'fcp', 'cls', 'tbt', 'ttfb', 'totalBytes', 'totalRequests', 'thirdPartyScripts'];
+
+/**
+ * Sites are keyed by host so http/https and trailing paths share a history
+ */
+function siteKey(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+}
+
+/**
+ * Sortable, unique id: timestamp prefix plus random suffix
+ */
+function createId(timestamp) {
+  return `${Date.parse(timestamp).toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Compact record of a result used for listings and trends
+ */
+function summarize(id, result) {
+  return {
+    id,
+    site: siteKey(result.url),
+    url: result.url,
+    timestamp: result.timestamp,
+    score: result.score,
+    pagesAudited: result.summary?.pagesAudited ?? result.pages.length,
+    pages: result.pages.map(page => ({
+      url: page.url,
+      device: page.device,
+      pageLabel: page.pageLabel,
+      flow: page.flow || null,
+      score: page.score,
+      metrics: Object.fromEntries(TREND_METRICS.map(metric => [metric, page.metrics[metric] ?? null]))
+    }))
+  };
+}
+
+/**
+ * Score and per-page metric time series, oldest first
+ */
+function buildTrend(site, summaries) {
+  const ordered = [...summaries].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const pages = new Map();
+
+  for (const summary of ordered) {
+    for (const page of summary.pages) {
+      // Flow steps can share a URL, so they are tracked by label
+      const key = `${page.flow ? page.pageLabel : page.url}|${page.device || ''}`;
+      if (!pages.has(key)) {
+        pages.set(key, { url: page.url, device: page.device, pageLabel: page.pageLabel, points: [] });
+      }
+      pages.get(key).points.push({ id: summary.id, timestamp: summary.timestamp, score: page.score, ...page.metrics });
+    }
+  }
+
+  return {
+    site,
+    score: ordered.map(summary => ({ id: summary.id, timestamp: summary.timestamp, value: summary.score })),
+    pages: [...pages.values()]
+  };
+}
+
+/**
+ * JSON files: one file per result plus an index of summaries
+ */
+function createJsonDriver(dataDir) {
+  const auditsDir = path.join(dataDir, 'audits');
+  const indexFile = path.join(dataDir, 'index.json');
+  fs.mkdirSync(auditsDir, { recursive: true });
+
+  // Serialize index writes so concurrent saves don't clobber each other
+  let writes = Promise.resolve();
+
+  const readIndex = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const writeAtomic = async (file, data) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  };
+
+  return {
+    async insert(summary, result) {
+      await writeAtomic(path.join(auditsDir, `${summary.id}.json`), result);
+      writes = writes.catch(() => {}).then(async () => {
+        const index = await readIndex();
+        index.push(summary);
+        await writeAtomic(indexFile, index);
+      });
+      await writes;
+    },
+
+    async summaries(site) {
+      return (await readIndex()).filter(summary => summary.site === site);
+    },
+
+    async get(id) {
+      if (!/^[a-z0-9-]+$/.test(id)) return null;
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(auditsDir, `${id}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * SQLite through the optional better-sqlite3 dependency
+ */
+function createSqliteDriver(dataDir) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage driver needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  const db = new Database(path.join(dataDir, 'audits.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audits (
+      id TEXT PRIMARY KEY,
+      site TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      result TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audits_site_timestamp ON audits (site, timestamp);
+  `);
+
+  const insert = db.prepare('INSERT INTO audits (id, site, timestamp, summary, result) VALUES (?, ?, ?, ?, ?)');
+  const bySite = db.prepare('SELECT summary FROM audits WHERE site = ? ORDER BY timestamp');
+  const byId = db.prepare('SELECT result FROM audits WHERE id = ?');
+
+  return {
+    async insert(summary, result) {
+      insert.run(summary.id, summary.site, summary.timestamp, JSON.stringify(summary), JSON.stringify(result));
+    },
+
+    async summaries(site) {
+      return bySite.all(site).map(row => JSON.parse(row.summary));
+    },
+
+    async get(id) {
+      const row = byId.get(id);
+      return row ? JSON.parse(row.result) : null;
+    }
+  };
+}
+
+/**
+ * Create an audit store. `driver` is "json" (default) or "sqlite".
+ */
+function createStore({ driver = 'json', dataDir = path.join(process.cwd(), 'data') } = {}) {
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown storage driver "${driver}". Use one of: ${DRIVERS.join(', ')}`);
+  }
+  const backend = driver === 'sqlite' ? createSqliteDriver(dataDir) : createJsonDriver(dataDir);
+
+  return {
+    driver,
+
+    /**
+     * Save a result and return its summary (including the new id)
+     */
+    async save(result) {
+      const id = createId(result.timestamp);
+      const summary = summarize(id, result);
+      await backend.insert(summary, { ...result, id });
+      return summary;
+    },
+
+    /**
+     * Past audits for the site of `url`, newest first
+     */
+    async list(url, { limit = 50 } = {}) {
+      const summaries = await backend.summaries(siteKey(url));
+      return summaries
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, limit)
+        .map(({ pages, ...summary }) => summary);
+    },
+
+    /**
+     * Full stored result, or null
+     */
+    get(id) {
+      return backend.get(id);
+    },
+
+    /**
+     * Score and per-page metric time series for the site of `url`
+     */
+    async trend(url, { limit = 50 } = {}) {
+      const site = siteKey(url);
+      const summaries = (await backend.summaries(site))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, limit);
+      return buildTrend(site, summaries);
+    }
+  };
+}
+
+module.exports = {
+  DRIVERS,
+  TREND_METRICS,
+  siteKey,
+  createStore
+};
@@ -0,0 +1,196 @@
+/**
+ * Third-Party Entities
+ * Vendor lookup from the bundled entity database, first-party detection, and
+ * per-vendor requests, bytes and main-thread cost
+ */
+
+const ENTITIES = require('./entities.json');
+const { scriptTimeByUrl, blockingTimeByUrl } = require('./trace');
+
+const ENTITY_CATEGORIES = {
+  'analytics': 'Analytics',
+  'ads': 'Advertising',
+  'chat': 'Chat',
+  'tag-manager': 'Tag manager',
+  'cdn': 'CDN',
+  'social': 'Social',
+  'video': 'Video',
+  'fonts': 'Fonts',
+  'maps': 'Maps',
+  'marketing': 'Marketing',
+  'ab-testing': 'A/B testing',
+  'consent': 'Consent',
+  'payments': 'Payments',
+  'monitoring': 'Monitoring',
+  'security': 'Security',
+  'hosting': 'Hosting',
+  'customer-success': 'Customer success',
+  'other': 'Other'
+};
+
+// Suffixes under which a site's registrable domain has three labels (example.co.uk)
+const MULTI_PART_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+  'com.br', 'com.mx', 'com.ar', 'co.in', 'co.za', 'co.il', 'co.kr', 'com.sg', 'com.hk', 'com.tw', 'com.tr', 'com.cn'
+];
+
+// Shared hosting, where each subdomain is a different site
+const SHARED_HOSTING_SUFFIXES = [
+  'github.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'web.app',
+  'firebaseapp.com', 'azurewebsites.net', 'onrender.com', 'fly.dev'
+];
+
+const DOMAIN_INDEX = new Map(ENTITIES.flatMap(entity => entity.domains.map(domain => [domain, entity])));
+
+/**
+ * The domain a site owns, so cdn.example.com and www.example.com count as one party
+ */
+function registrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  // IP addresses and localhost have no subdomains to fold
+  if (/^[\d.]+$/.test(host) || host.includes(':') || host.startsWith('[')) return host;
+
+  const labels = host.split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  const size = MULTI_PART_SUFFIXES.includes(lastTwo) || SHARED_HOSTING_SUFFIXES.includes(lastTwo) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Validate configured first-party domains, e.g. ["example-cdn.com", "shopifycdn.net"]
+ */
+function resolveFirstPartyDomains(domains = []) {
+  if (!Array.isArray(domains)) {
+    throw new Error('firstPartyDomains must be a list of domains');
+  }
+  return domains.map(domain => {
+    if (typeof domain !== 'string' || !domain.trim() || /[/\s]/.test(domain.trim())) {
+      throw new Error(`First-party domain "${domain}" must be a bare domain like cdn.example.com`);
+    }
+    return domain.trim().toLowerCase().replace(/^\*?\./, '');
+  });
+}
+
+/**
+ * Returns a function telling whether a URL belongs to the audited site: the
+ * page's registrable domain plus any configured first-party domains
+ */
+function createPartyClassifier(pageUrl, firstPartyDomains = []) {
+  const domains = [registrableDomain(new URL(pageUrl).hostname), ...firstPartyDomains];
+  return url => {
+    try {
+      const { hostname } = new URL(url);
+      // data: and blob: URLs come from the page itself
+      return !hostname || domains.some(domain => matchesDomain(hostname.toLowerCase(), domain));
+    } catch {
+      return true;
+    }
+  };
+}
+
+/**
+ * Vendor for a third-party URL, from the entity database or, for unknown
+ * domains, named after the registrable domain
+ */
+function findEntity(url) {
+  const hostname = new URL(url).hostname.toLowerCase();
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entity = DOMAIN_INDEX.get(labels.slice(i).join('.'));
+    if (entity) return { name: entity.name, category: entity.category, known: true };
+  }
+  return { name: registrableDomain(hostname), category: 'other', known: false };
+}
+
+/**
+ * Per-vendor requests, bytes, scripts and, when main-thread tasks from a trace
+ * are given, main-thread and blocking time. Vendors are sorted most expensive first.
+ */
+function summarizeThirdParties(requests, { pageUrl, firstPartyDomains = [], tasks = null }) {
+  const isFirstParty = createPartyClassifier(pageUrl, firstPartyDomains);
+  const vendors = new Map();
+
+  const vendorFor = url => {
+    const entity = findEntity(url);
+    if (!vendors.has(entity.name)) {
+      vendors.set(entity.name, {
+        ...entity,
+        categoryLabel: ENTITY_CATEGORIES[entity.category] || entity.category,
+        hosts: new Set(),
+        requests: 0,
+        scripts: 0,
+        bytes: 0,
+        mainThreadTime: tasks ? 0 : null,
+        blockingTime: tasks ? 0 : null
+      });
+    }
+    const vendor = vendors.get(entity.name);
+    vendor.hosts.add(new URL(url).hostname);
+    return vendor;
+  };
+
+  for (const request of requests) {
+    if (isFirstParty(request.url)) continue;
+    const vendor = vendorFor(request.url);
+    vendor.requests++;
+    vendor.bytes += request.transferSize || 0;
+    if (request.type === 'script') vendor.scripts++;
+  }
+
+  if (tasks) {
+    for (const [url, time] of Object.entries(scriptTimeByUrl(tasks))) {
+      if (!isFirstParty(url)) vendorFor(url).mainThreadTime += time;
+    }
+    for (const [url, time] of Object.entries(blockingTimeByUrl(tasks))) {
+      if (!isFirstParty(url)) vendorFor(url).blockingTime += time;
+    }
+  }
+
+  const list = [...vendors.values()]
+    .map(vendor => ({
+      ...vendor,
+      hosts: [...vendor.hosts],
+      mainThreadTime: tasks ? Math.round(vendor.mainThreadTime) : null,
+      blockingTime: tasks ? Math.round(vendor.blockingTime) : null
+    }))
+    .sort((a, b) => (b.blockingTime || 0) - (a.blockingTime || 0)
+      || (b.mainThreadTime || 0) - (a.mainThreadTime || 0)
+      || b.bytes - a.bytes);
+
+  const total = key => (tasks || !['mainThreadTime', 'blockingTime'].includes(key)
+    ? list.reduce((sum, vendor) => sum + vendor[key], 0)
+    : null);
+  return {
+    firstPartyDomains: [registrableDomain(new URL(pageUrl).hostname), ...firstPartyDomains],
+    vendors: list,
+    requests: total('requests'),
+    bytes: total('bytes'),
+    mainThreadTime: total('mainThreadTime'),
+    blockingTime: total('blockingTime')
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function thirdPartyMetrics(thirdParties) {
+  return {
+    thirdPartyBytes: thirdParties.bytes,
+    ...(thirdParties.mainThreadTime === null ? {} : {
+      thirdPartyMainThreadTime: thirdParties.mainThreadTime,
+      thirdPartyBlockingTime: thirdParties.blockingTime
+    })
+  };
+}
+
+module.exports = {
+  ENTITY_CATEGORIES,
+  registrableDomain,
+  resolveFirstPartyDomains,
+  createPartyClassifier,
+  findEntity,
+  summarizeThirdParties,
+  thirdPartyMetrics
+};
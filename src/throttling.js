@@ -0,0 +1,112 @@
+/**
+ * Network and CPU Throttling
+ * Named connection profiles applied to Chromium pages over CDP
+ */
+
+// Throughput in Kbps, latency in ms (round-trip), CPU as a slowdown multiplier
+const THROTTLING_PROFILES = {
+  'none': {
+    label: 'No throttling',
+    latency: 0,
+    downloadKbps: 0,
+    uploadKbps: 0,
+    cpuSlowdown: 1
+  },
+  'slow-4g': {
+    label: 'Slow 4G',
+    latency: 150,
+    downloadKbps: 1638.4,
+    uploadKbps: 750,
+    cpuSlowdown: 4
+  },
+  'fast-3g': {
+    label: 'Fast 3G',
+    latency: 562.5,
+    downloadKbps: 1474.56,
+    uploadKbps: 675,
+    cpuSlowdown: 4
+  },
+  'slow-3g': {
+    label: 'Slow 3G',
+    latency: 2000,
+    downloadKbps: 400,
+    uploadKbps: 400,
+    cpuSlowdown: 6
+  },
+  'cable': {
+    label: 'Cable',
+    latency: 28,
+    downloadKbps: 5120,
+    uploadKbps: 1024,
+    cpuSlowdown: 1
+  }
+};
+
+const DEFAULT_PROFILE = 'slow-4g';
+
+/**
+ * Resolve a profile name or custom settings object into a full profile
+ */
+function resolveThrottling(input = DEFAULT_PROFILE) {
+  if (typeof input === 'string') {
+    const profile = THROTTLING_PROFILES[input];
+    if (!profile) {
+      throw new Error(`Unknown throttling profile "${input}". Available: ${Object.keys(THROTTLING_PROFILES).join(', ')}`);
+    }
+    return { name: input, ...profile };
+  }
+
+  if (!input || typeof input !== 'object') {
+    throw new Error('Throttling must be a profile name or an object');
+  }
+
+  const base = input.base ? resolveThrottling(input.base) : { ...THROTTLING_PROFILES.none };
+  const profile = {
+    name: 'custom',
+    label: input.label || 'Custom',
+    latency: input.latency ?? base.latency,
+    downloadKbps: input.downloadKbps ?? base.downloadKbps,
+    uploadKbps: input.uploadKbps ?? base.uploadKbps,
+    cpuSlowdown: input.cpuSlowdown ?? base.cpuSlowdown
+  };
+
+  for (const key of ['latency', 'downloadKbps', 'uploadKbps']) {
+    if (typeof profile[key] !== 'number' || profile[key] < 0) {
+      throw new Error(`Invalid throttling ${key}: ${profile[key]}`);
+    }
+  }
+  if (typeof profile.cpuSlowdown !== 'number' || profile.cpuSlowdown < 1) {
+    throw new Error(`Invalid throttling cpuSlowdown: ${profile.cpuSlowdown}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Apply a resolved profile to a page through a CDP session
+ */
+async function applyThrottling(page, profile) {
+  if (profile.name === 'none') return;
+
+  const session = await page.context().newCDPSession(page);
+  const toBytesPerSecond = kbps => (kbps > 0 ? kbps * 1024 / 8 : -1);
+
+  await session.send('Network.enable');
+  await session.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: profile.latency,
+    downloadThroughput: toBytesPerSecond(profile.downloadKbps),
+    uploadThroughput: toBytesPerSecond(profile.uploadKbps)
+  });
+
+  if (profile.cpuSlowdown > 1) {
+    await session.send('Emulation.setCPUThrottlingRate', { rate: profile.cpuSlowdown });
+  }
+}
+
+module.exports = {
+  THROTTLING_PROFILES,
+  DEFAULT_PROFILE,
+  resolveThrottling,
+  applyThrottling
+};
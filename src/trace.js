@@ -0,0 +1,320 @@
+/**
+ * Performance Trace
+ * Chrome trace recording over CDP, main-thread task trees with script
+ * attribution, and main-thread time by category and script
+ */
+
+const TRACE_CATEGORIES = [
+  '-*',
+  'toplevel',
+  'devtools.timeline',
+  'disabled-by-default-devtools.timeline',
+  'v8.execute',
+  'v8',
+  'blink.user_timing',
+  '__metadata'
+];
+
+// Trace events that run script; most name the script's URL
+const SCRIPT_EVENTS = ['EvaluateScript', 'FunctionCall', 'v8.compile', 'v8.compileModule', 'v8.evaluateModule', 'TimerFire', 'EventDispatch', 'FireAnimationFrame'];
+
+// Tasks longer than this block input
+const LONG_TASK_THRESHOLD = 50;
+
+// Main-thread work by kind, after Lighthouse's task groups. Events not listed
+// count towards their parent's category; top-level task overhead is "other".
+const TASK_CATEGORIES = {
+  scriptEvaluation: {
+    label: 'Script evaluation',
+    events: ['EvaluateScript', 'FunctionCall', 'TimerFire', 'EventDispatch', 'FireAnimationFrame', 'FireIdleCallback', 'RunMicrotasks', 'v8.evaluateModule', 'v8.execute', 'V8.Execute', 'XHRReadyStateChange', 'XHRLoad']
+  },
+  scriptParseCompile: {
+    label: 'Script parsing & compilation',
+    events: ['v8.compile', 'v8.compileModule', 'v8.parseOnBackground', 'v8.compileEval', 'CacheScript']
+  },
+  styleLayout: {
+    label: 'Style & layout',
+    events: ['UpdateLayoutTree', 'RecalculateStyles', 'ParseAuthorStyleSheet', 'ScheduleStyleRecalculation', 'InvalidateLayout', 'Layout']
+  },
+  paintCompositeRender: {
+    label: 'Rendering & paint',
+    events: ['Paint', 'PaintImage', 'PaintSetup', 'PrePaint', 'Layerize', 'UpdateLayer', 'UpdateLayerTree', 'CompositeLayers', 'Commit', 'Animation', 'ImageDecodeTask', 'Decode Image', 'Decode LazyPixelRef', 'Draw LazyPixelRef', 'Rasterize', 'RasterTask']
+  },
+  parseHtml: {
+    label: 'HTML parsing',
+    events: ['ParseHTML']
+  },
+  garbageCollection: {
+    label: 'Garbage collection',
+    events: ['MinorGC', 'MajorGC', 'GCEvent', 'BlinkGC.AtomicPhase', 'ThreadState::performIdleLazySweep', 'ThreadState::completeSweep']
+  },
+  other: {
+    label: 'Other',
+    events: []
+  }
+};
+
+const CATEGORY_BY_EVENT = new Map(Object.entries(TASK_CATEGORIES).flatMap(([id, category]) => category.events.map(name => [name, id])));
+
+// Long tasks and scripts kept in results, worst first
+const MAX_LONG_TASKS = 10;
+const MAX_SCRIPTS = 15;
+
+/**
+ * Start recording a trace for the page. Call before navigating; stop() returns the events.
+ */
+async function startTrace(page) {
+  const session = await page.context().newCDPSession(page);
+  const events = [];
+
+  session.on('Tracing.dataCollected', ({ value }) => {
+    events.push(...value);
+  });
+
+  await session.send('Tracing.start', {
+    transferMode: 'ReportEvents',
+    traceConfig: { includedCategories: TRACE_CATEGORIES }
+  });
+
+  return {
+    async stop() {
+      const complete = new Promise(resolve => session.once('Tracing.tracingComplete', resolve));
+      await session.send('Tracing.end');
+      await complete;
+      await session.detach().catch(() => {});
+      return events;
+    }
+  };
+}
+
+/**
+ * Process and thread id of the main frame's renderer main thread
+ */
+function findMainThread(events) {
+  const started = events.find(event => event.name === 'TracingStartedInBrowser');
+  const mainFrame = started?.args?.data?.frames?.find(frame => !frame.parent);
+  const rendererThreads = events.filter(event => event.ph === 'M' && event.name === 'thread_name' && event.args?.name === 'CrRendererMain');
+
+  const candidates = mainFrame
+    ? rendererThreads.filter(thread => thread.pid === mainFrame.processId)
+    : rendererThreads;
+  if (candidates.length === 0) return null;
+
+  // Fall back to the busiest renderer when the frame list is missing
+  const busy = thread => events.filter(event => event.pid === thread.pid && event.tid === thread.tid).length;
+  const thread = candidates.length === 1 ? candidates[0] : candidates.reduce((a, b) => (busy(b) > busy(a) ? b : a));
+  return { pid: thread.pid, tid: thread.tid };
+}
+
+/**
+ * URL of the script an event runs, if it names one
+ */
+function eventUrl(event) {
+  const data = event.args?.data || {};
+  return data.url || data.scriptName || data.stackTrace?.[0]?.url || event.args?.fileName || null;
+}
+
+/**
+ * Nest the main thread's complete events into task trees. Times are in ms from
+ * navigation start; each node has its duration, self time and children.
+ */
+function mainThreadTasks(events) {
+  const thread = findMainThread(events);
+  if (!thread) return [];
+
+  const threadEvents = events
+    .filter(event => event.pid === thread.pid && event.tid === thread.tid && event.ph === 'X' && typeof event.dur === 'number')
+    .sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+  const navigationStart = events.find(event => event.name === 'navigationStart' && event.pid === thread.pid);
+  const origin = navigationStart ? navigationStart.ts : (threadEvents[0]?.ts || 0);
+
+  const roots = [];
+  const stack = [];
+  for (const event of threadEvents) {
+    const node = {
+      name: event.name,
+      start: (event.ts - origin) / 1000,
+      duration: event.dur / 1000,
+      end: (event.ts + event.dur - origin) / 1000,
+      url: SCRIPT_EVENTS.includes(event.name) ? eventUrl(event) : null,
+      children: []
+    };
+    while (stack.length && stack[stack.length - 1].end <= node.start) stack.pop();
+    const parent = stack[stack.length - 1];
+    // Only tasks start a tree; stray events between tasks are dropped
+    if (parent && node.end <= parent.end + 0.001) {
+      parent.children.push(node);
+    } else if (/RunTask$/.test(event.name)) {
+      roots.push(node);
+    } else {
+      continue;
+    }
+    stack.push(node);
+  }
+
+  const withSelfTime = node => {
+    node.children.forEach(withSelfTime);
+    node.selfTime = Math.max(0, node.duration - node.children.reduce((sum, child) => sum + child.duration, 0));
+    return node;
+  };
+  return roots.map(withSelfTime);
+}
+
+/**
+ * The script URL responsible for a task: the first script it ran that names one
+ */
+function taskUrl(node) {
+  if (node.url) return node.url;
+  for (const child of node.children) {
+    const url = taskUrl(child);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * Main-thread time per script URL: time inside the outermost script event for each URL
+ */
+function scriptTimeByUrl(tasks) {
+  const times = {};
+  const visit = node => {
+    if (node.url) {
+      times[node.url] = (times[node.url] || 0) + node.duration;
+      return;
+    }
+    node.children.forEach(visit);
+  };
+  tasks.forEach(visit);
+  return times;
+}
+
+/**
+ * Blocking time (task time past 50ms) per responsible script URL
+ */
+function blockingTimeByUrl(tasks) {
+  const times = {};
+  for (const task of tasks) {
+    const url = taskUrl(task);
+    if (!url || task.duration <= LONG_TASK_THRESHOLD) continue;
+    times[url] = (times[url] || 0) + task.duration - LONG_TASK_THRESHOLD;
+  }
+  return times;
+}
+
+/**
+ * Category of a trace event, or null to use its parent's
+ */
+function eventCategory(name) {
+  if (CATEGORY_BY_EVENT.has(name)) return CATEGORY_BY_EVENT.get(name);
+  // V8 and Blink name their many GC phases differently across versions
+  if (/^(V8\.GC|BlinkGC\.)/.test(name)) return 'garbageCollection';
+  return null;
+}
+
+/**
+ * Call visit(node, category, url) for every node of a task, with the node's
+ * category and the script URL it runs on behalf of
+ */
+function walkTask(task, visit) {
+  const walk = (node, parentCategory, parentUrl) => {
+    const category = eventCategory(node.name) || parentCategory;
+    const url = node.url || parentUrl;
+    visit(node, category, url);
+    node.children.forEach(child => walk(child, category, url));
+  };
+  walk(task, 'other', null);
+}
+
+const round = value => Math.round(value);
+
+/**
+ * Where main-thread time went: totals per category, per script URL (including
+ * layout and GC the script caused), and the longest tasks with the script
+ * responsible. Total Blocking Time counts long tasks after first contentful
+ * paint when it is given.
+ */
+function mainThreadBreakdown(tasks, { fcp = null } = {}) {
+  const categories = Object.fromEntries(Object.keys(TASK_CATEGORIES).map(id => [id, 0]));
+  const scripts = new Map();
+
+  for (const task of tasks) {
+    walkTask(task, (node, category, url) => {
+      categories[category] += node.selfTime;
+      if (!url) return;
+      if (!scripts.has(url)) scripts.set(url, { url, total: 0, scriptEvaluation: 0, scriptParseCompile: 0 });
+      const script = scripts.get(url);
+      script.total += node.selfTime;
+      if (category === 'scriptEvaluation' || category === 'scriptParseCompile') script[category] += node.selfTime;
+    });
+  }
+
+  const longTasks = tasks.filter(task => task.duration > LONG_TASK_THRESHOLD);
+  const topLongTasks = [...longTasks]
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_LONG_TASKS)
+    .map(task => {
+      const time = {};
+      walkTask(task, (node, category) => {
+        time[category] = (time[category] || 0) + node.selfTime;
+      });
+      const [category] = Object.entries(time).sort((a, b) => b[1] - a[1])[0];
+      return {
+        start: round(task.start),
+        duration: round(task.duration),
+        blockingTime: round(task.duration - LONG_TASK_THRESHOLD),
+        url: taskUrl(task),
+        category,
+        categoryLabel: TASK_CATEGORIES[category].label
+      };
+    });
+
+  return {
+    totalTime: round(tasks.reduce((sum, task) => sum + task.duration, 0)),
+    categories: Object.entries(categories)
+      .filter(([, time]) => time >= 1)
+      .map(([id, time]) => ({ id, label: TASK_CATEGORIES[id].label, time: round(time) }))
+      .sort((a, b) => b.time - a.time),
+    scripts: [...scripts.values()]
+      .map(script => ({
+        url: script.url,
+        total: round(script.total),
+        scriptEvaluation: round(script.scriptEvaluation),
+        scriptParseCompile: round(script.scriptParseCompile)
+      }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, MAX_SCRIPTS),
+    longTaskCount: longTasks.length,
+    longTasks: topLongTasks,
+    // As in vitals.js: tasks still running at FCP count from FCP on
+    totalBlockingTime: round(longTasks
+      .filter(task => fcp === null || task.start + task.duration > fcp)
+      .reduce((sum, task) => {
+        const duration = fcp === null ? task.duration : task.start + task.duration - Math.max(task.start, fcp);
+        return sum + Math.max(0, duration - LONG_TASK_THRESHOLD);
+      }, 0))
+  };
+}
+
+/**
+ * Numeric metrics for scoring, sampling and rules
+ */
+function mainThreadMetrics(mainThread) {
+  const categoryTime = id => (mainThread.categories.find(category => category.id === id) || { time: 0 }).time;
+  return {
+    mainThreadTime: mainThread.totalTime,
+    scriptTime: categoryTime('scriptEvaluation') + categoryTime('scriptParseCompile'),
+    longTasks: mainThread.longTaskCount
+  };
+}
+
+module.exports = {
+  LONG_TASK_THRESHOLD,
+  TASK_CATEGORIES,
+  startTrace,
+  mainThreadTasks,
+  taskUrl,
+  scriptTimeByUrl,
+  blockingTimeByUrl,
+  mainThreadBreakdown,
+  mainThreadMetrics
+};
@@ -0,0 +1,164 @@
+/**
+ * Core Web Vitals Collection
+ * In-page PerformanceObserver instrumentation for LCP, CLS, INP, TBT, FCP and TTFB
+ */
+
+// Main-thread tasks longer than this count towards Total Blocking Time
+const LONG_TASK_THRESHOLD = 50;
+
+/**
+ * Install performance observers in the page before any site script runs.
+ * Serialized by Playwright, so it must not reference anything outside itself.
+ */
+function installVitalsObserver() {
+  if (window !== window.top) return;
+
+  const vitals = {
+    lcp: null,
+    lcpElement: null,
+    fcp: null,
+    shifts: [],
+    longTasks: [],
+    interactions: {}
+  };
+  window.__speedAuditVitals = vitals;
+
+  const observe = (type, callback, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  // "img#hero" or "h1.title": enough to find the element in the page source
+  const describe = element => {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${element.id}`;
+    const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+    return className ? `${tag}.${className}` : tag;
+  };
+
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+    vitals.lcpElement = {
+      selector: entry.element ? describe(entry.element) : null,
+      url: entry.url || null
+    };
+  });
+
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    vitals.shifts.push({ startTime: entry.startTime, value: entry.value });
+  });
+
+  observe('longtask', entry => {
+    vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+
+  // INP only exists once the page has been interacted with
+  observe('event', entry => {
+    if (!entry.interactionId) return;
+    const previous = vitals.interactions[entry.interactionId];
+    vitals.interactions[entry.interactionId] = {
+      startTime: previous ? Math.min(previous.startTime, entry.startTime) : entry.startTime,
+      duration: Math.max(previous ? previous.duration : 0, entry.duration)
+    };
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * CLS is the largest session window of shifts (max 1s gap, 5s span)
+ */
+function cumulativeLayoutShift(shifts) {
+  let cls = 0;
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = -Infinity;
+
+  for (const shift of shifts) {
+    if (shift.startTime - lastShift > 1000 || shift.startTime - sessionStart > 5000) {
+      sessionValue = 0;
+      sessionStart = shift.startTime;
+    }
+    sessionValue += shift.value;
+    lastShift = shift.startTime;
+    cls = Math.max(cls, sessionValue);
+  }
+  return cls;
+}
+
+/**
+ * Page-relative timestamp, used to measure a window of activity within one document
+ */
+async function vitalsMarker(page) {
+  return page.evaluate(() => ({ timeOrigin: performance.timeOrigin, now: performance.now() }))
+    .catch(() => null);
+}
+
+/**
+ * Read the collected vitals and navigation timing back out of the page.
+ * With `since` (a vitalsMarker time in the same document), only layout shifts, long
+ * tasks and interactions after it count, and load metrics are reported as null.
+ */
+async function collectVitals(page, { since = null } = {}) {
+  const raw = await page.evaluate(() => {
+    const vitals = window.__speedAuditVitals || { shifts: [], longTasks: [], interactions: {} };
+    const nav = performance.getEntriesByType('navigation')[0];
+
+    return {
+      lcp: vitals.lcp,
+      fcp: vitals.fcp,
+      shifts: vitals.shifts,
+      longTasks: vitals.longTasks,
+      interactions: Object.values(vitals.interactions),
+      navigation: nav ? {
+        ttfb: nav.responseStart - nav.startTime,
+        domContentLoaded: nav.domContentLoadedEventEnd - nav.startTime,
+        loadEvent: nav.loadEventEnd - nav.startTime
+      } : null
+    };
+  });
+
+  const inWindow = entry => since === null || entry.startTime >= since;
+  const shifts = raw.shifts.filter(inWindow);
+  const longTasks = raw.longTasks.filter(inWindow);
+  const interactions = raw.interactions.filter(inWindow).map(interaction => interaction.duration);
+
+  const start = since === null ? raw.fcp || 0 : since;
+  // Tasks still running at FCP (or at `since`) count only from then on
+  const tbt = longTasks
+    .filter(task => task.startTime + task.duration > start)
+    .reduce((sum, task) => sum + Math.max(0, task.startTime + task.duration - Math.max(task.startTime, start) - LONG_TASK_THRESHOLD), 0);
+
+  const round = value => (value === null || value === undefined ? null : Math.round(value));
+  const load = value => (since === null && raw.navigation ? round(value) : null);
+
+  return {
+    lcp: since === null ? round(raw.lcp) : null,
+    fcp: since === null ? round(raw.fcp) : null,
+    cls: Number(cumulativeLayoutShift(shifts).toFixed(3)),
+    tbt: Math.round(tbt),
+    inp: interactions.length ? round(Math.max(...interactions)) : null,
+    ttfb: load(raw.navigation?.ttfb),
+    domContentLoaded: load(raw.navigation?.domContentLoaded),
+    loadEvent: load(raw.navigation?.loadEvent),
+    longTaskCount: longTasks.length
+  };
+}
+
+/**
+ * The element behind the final LCP candidate: a short selector and, for
+ * images and CSS backgrounds, the URL it painted. Null before any candidate.
+ */
+async function largestContentfulPaintElement(page) {
+  return page.evaluate(() => (window.__speedAuditVitals ? window.__speedAuditVitals.lcpElement : null))
+    .catch(() => null);
+}
+
+module.exports = { installVitalsObserver, vitalsMarker, collectVitals, largestContentfulPaintElement };